@@ -0,0 +1,583 @@
+// Browser-side versions of the community detection algorithms of GraphCommunities.jl, for
+// the algorithm playground on the docs pages (see playground.js). They are written to be
+// watched rather than to be fast: every algorithm is a generator that yields its state
+// after each step (a sweep, a pass, ...), so that readers can follow how the communities
+// form. The graphs are small, e.g. the karate club of `KarateClub`.
+//
+// Like in GraphCommunities.jl, vertices are numbered from 1 in edge lists. The states
+// use arrays indexed from 0 though: `labels[v - 1]` is the community of vertex v.
+(function (root, factory) {
+  if (typeof define === "function" && define.amd) {
+    define([], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DocumenterCommunities = factory();
+  }
+})(this, function () {
+  /**
+   * Make a graph from an edge list. Duplicate edges and self-loops are dropped.
+   *
+   * @param {number} n the number of vertices
+   * @param {number[][]} edges pairs of vertices, numbered from 1
+   * @returns object { n, edges, neighbors } with `neighbors[v - 1]` the (0-based)
+   *   neighbors of vertex v
+   */
+  function graph(n, edges) {
+    let neighbors = Array.from({ length: n }, () => []);
+    let kept = [];
+    edges.forEach(([u, v]) => {
+      if (u === v || neighbors[u - 1].includes(v - 1)) return;
+      neighbors[u - 1].push(v - 1);
+      neighbors[v - 1].push(u - 1);
+      kept.push([u, v]);
+    });
+    return { n: n, edges: kept, neighbors: neighbors };
+  }
+
+  /**
+   * Zachary's karate club, as generated by `generate(KarateClub())`
+   *
+   * @returns object
+   */
+  function karate_club() {
+    // prettier-ignore
+    return graph(34, [
+      [1, 2], [1, 3], [1, 4], [1, 5], [1, 6], [1, 7], [1, 8], [1, 9], [1, 11],
+      [1, 12], [1, 13], [1, 14], [1, 18], [1, 20], [1, 22], [1, 32],
+      [2, 3], [2, 4], [2, 8], [2, 14], [2, 18], [2, 20], [2, 22], [2, 31],
+      [3, 4], [3, 8], [3, 9], [3, 10], [3, 14], [3, 28], [3, 29], [3, 33],
+      [4, 8], [4, 13], [4, 14],
+      [5, 7], [5, 11],
+      [6, 7], [6, 11], [6, 17],
+      [7, 17],
+      [9, 31], [9, 33], [9, 34],
+      [10, 34],
+      [14, 34],
+      [15, 33], [15, 34],
+      [16, 33], [16, 34],
+      [19, 33], [19, 34],
+      [20, 34],
+      [21, 33], [21, 34],
+      [23, 33], [23, 34],
+      [24, 26], [24, 28], [24, 30], [24, 33], [24, 34],
+      [25, 26], [25, 28], [25, 32],
+      [26, 32],
+      [27, 30], [27, 34],
+      [28, 34],
+      [29, 32], [29, 34],
+      [30, 33], [30, 34],
+      [31, 33], [31, 34],
+      [32, 33], [32, 34],
+      [33, 34],
+    ]);
+  }
+
+  /**
+   * Cliques chained together by single edges, as generated by `generate(ChainedCliques())`
+   *
+   * @param {number} num_cliques
+   * @param {number} clique_size
+   * @returns object
+   * @throws Error with the message of the ArgumentError of `generate` for invalid sizes
+   */
+  function chained_cliques(num_cliques, clique_size) {
+    if (num_cliques < 1) throw new Error("The number of cliques need be at least one.");
+    if (clique_size < 3) throw new Error("The size of each clique must be three or greater.");
+    if (!Number.isInteger(num_cliques)) throw new Error("num_cliques must be an integer.");
+    if (!Number.isInteger(clique_size)) throw new Error("clique_size must be an integer.");
+    let edges = [];
+    for (let i = 0; i < num_cliques; i++) {
+      let start = i * clique_size + 1;
+      for (let v = start; v < start + clique_size; v++) {
+        for (let u = v + 1; u < start + clique_size; u++) edges.push([v, u]);
+      }
+    }
+    for (let i = 1; i < num_cliques; i++) {
+      edges.push([i * clique_size, i * clique_size + 1]);
+    }
+    return graph(num_cliques * clique_size, edges);
+  }
+
+  /**
+   * A sample of the planted partition model, as generated by `generate(PlantedPartition())`:
+   * vertex pairs are drawn in the same order, community by community
+   *
+   * @param {number} n_communities
+   * @param {number} nodes_per_community
+   * @param {number} pintra the probability of an edge within a community
+   * @param {number} pinter the probability of an edge between communities
+   * @param {function} rand
+   * @returns object
+   * @throws Error if the number of communities or their size is not a positive integer
+   */
+  function planted_partition(n_communities, nodes_per_community, pintra, pinter, rand) {
+    if (!Number.isInteger(n_communities) || n_communities < 1) {
+      throw new Error("n_communities must be a positive integer.");
+    }
+    if (!Number.isInteger(nodes_per_community) || nodes_per_community < 1) {
+      throw new Error("nodes_per_community must be a positive integer.");
+    }
+    let size = nodes_per_community;
+    let edges = [];
+    for (let i = 1; i <= n_communities; i++) {
+      let [start, stop] = [(i - 1) * size + 1, i * size];
+      for (let u = start; u <= stop; u++) {
+        for (let v = u + 1; v <= stop; v++) {
+          if (rand() < pintra) edges.push([u, v]);
+        }
+      }
+      for (let j = i + 1; j <= n_communities; j++) {
+        for (let u = start; u <= stop; u++) {
+          for (let v = (j - 1) * size + 1; v <= j * size; v++) {
+            if (rand() < pinter) edges.push([u, v]);
+          }
+        }
+      }
+    }
+    return graph(n_communities * size, edges);
+  }
+
+  /**
+   * A seeded random number generator (mulberry32), so that a run can be repeated
+   *
+   * @param {number} seed
+   * @returns function returning numbers in [0, 1)
+   */
+  function random(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function shuffle(array, rand) {
+    for (let i = array.length - 1; i > 0; i--) {
+      let j = Math.floor(rand() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * The modularity of a division of the graph into communities
+   *
+   * @param {object} g
+   * @param {Array} labels the community of each vertex; vertices labeled null are each on
+   *   their own
+   * @returns number
+   */
+  function modularity(g, labels) {
+    let m = g.edges.length;
+    if (m === 0) return 0;
+    let internal = new Map();
+    let degrees = new Map();
+    let community = (v) => (labels[v] === null ? `vertex ${v}` : labels[v]);
+    g.neighbors.forEach((neighbors, v) => {
+      let c = community(v);
+      degrees.set(c, (degrees.get(c) || 0) + neighbors.length);
+    });
+    g.edges.forEach(([u, v]) => {
+      let c = community(u - 1);
+      if (c === community(v - 1)) internal.set(c, (internal.get(c) || 0) + 1);
+    });
+    let q = 0;
+    degrees.forEach((degree, c) => {
+      q += (internal.get(c) || 0) / m - Math.pow(degree / (2 * m), 2);
+    });
+    return q;
+  }
+
+  /**
+   * The modularity of a division as `graph_modularity` of GraphCommunities.jl computes it.
+   * Unlike `modularity`, it only sums over pairs of neighbors, so that pairs of a community
+   * that are not neighbors do not lower it.
+   *
+   * @param {object} g
+   * @param {Array} labels the community of each vertex; vertices labeled null are each on
+   *   their own
+   * @returns number NaN for graphs without edges, like in Julia
+   */
+  function graph_modularity(g, labels) {
+    let m = g.edges.length;
+    let q = 0;
+    g.neighbors.forEach((neighbors, i) => {
+      neighbors.forEach((j) => {
+        if (labels[i] !== null && labels[i] === labels[j]) {
+          q += 1 - (neighbors.length * g.neighbors[j].length) / (2 * m);
+        }
+      });
+    });
+    return q / (2 * m);
+  }
+
+  /**
+   * How well the communities of a division are separated from the rest of the graph
+   *
+   * @param {object} g
+   * @param {Array} labels the community of each vertex; vertices labeled null are in none
+   * @returns object { coverage, communities } with `coverage` the share of the edges that
+   *   are within a community (null without edges) and a { label, size, volume, internal,
+   *   cut, conductance } for every community. The volume is the sum of the degrees, the
+   *   conductance the share of the edges at the smaller side of the cut that cross it (null
+   *   if that side has no edges).
+   */
+  function partition_quality(g, labels) {
+    let m = g.edges.length;
+    let by_label = new Map();
+    labels.forEach((label, v) => {
+      if (label === null) return;
+      if (!by_label.has(label)) {
+        by_label.set(label, { label: label, size: 0, volume: 0, internal: 0, cut: 0 });
+      }
+      let community = by_label.get(label);
+      community.size += 1;
+      community.volume += g.neighbors[v].length;
+    });
+    let internal = 0;
+    g.edges.forEach(([u, v]) => {
+      let [a, b] = [labels[u - 1], labels[v - 1]];
+      if (a !== null && a === b) {
+        by_label.get(a).internal += 1;
+        internal += 1;
+      } else {
+        if (a !== null) by_label.get(a).cut += 1;
+        if (b !== null) by_label.get(b).cut += 1;
+      }
+    });
+    let communities = [...by_label.values()].map((community) => {
+      let smaller = Math.min(community.volume, 2 * m - community.volume);
+      return Object.assign(community, { conductance: smaller > 0 ? community.cut / smaller : null });
+    });
+    return { coverage: m > 0 ? internal / m : null, communities: communities };
+  }
+
+  /**
+   * The most frequent label among the neighbors of a vertex
+   *
+   * @param {number[]} neighbors
+   * @param {number[]} labels
+   * @param {function} tie picks one of the most frequent labels
+   * @returns number|null null for a vertex without neighbors
+   */
+  function most_frequent_label(neighbors, labels, tie) {
+    let counts = new Map();
+    neighbors.forEach((w) => counts.set(labels[w], (counts.get(labels[w]) || 0) + 1));
+    let max = Math.max(...counts.values());
+    let candidates = [...counts.keys()].filter((label) => counts.get(label) === max);
+    return candidates.length ? tie(candidates) : null;
+  }
+
+  /**
+   * `LabelPropagation`: every vertex starts with a label of its own and then adopts the
+   * label that is most frequent among its neighbors, until the labels do not change
+   * anymore. Yields after every sweep over the vertices.
+   *
+   * @param {object} g
+   * @param {object} options { synchronous: false, max_iter: 100, random }
+   */
+  function* label_propagation(g, options = {}) {
+    let rand = options.random || random(1);
+    let max_iter = options.max_iter || 100;
+    let labels = g.neighbors.map((_, v) => v + 1);
+    let order = labels.map((_, v) => v);
+    let tie = (candidates) => candidates[Math.floor(rand() * candidates.length)];
+    yield { labels: labels.slice(), note: "Every vertex starts with a label of its own" };
+
+    for (let sweep = 1; sweep <= max_iter; sweep++) {
+      let next = options.synchronous ? labels.slice() : labels;
+      let changed = 0;
+      shuffle(order, rand).forEach((v) => {
+        let label = most_frequent_label(g.neighbors[v], labels, tie);
+        if (label !== null && label !== labels[v]) {
+          next[v] = label;
+          changed++;
+        }
+      });
+      labels = next;
+      let done = changed === 0;
+      yield {
+        labels: labels.slice(),
+        note: `Sweep ${sweep}: ${changed} vertices changed their label`,
+        done: done || sweep === max_iter,
+      };
+      if (done) return;
+    }
+  }
+
+  /**
+   * `FastLPA`: synchronous label propagation in which ties go to the highest label, so
+   * that runs are deterministic. Yields after every sweep.
+   *
+   * @param {object} g
+   * @param {object} options { max_iter: 100 }
+   */
+  function* fast_label_propagation(g, options = {}) {
+    let max_iter = options.max_iter || 100;
+    let labels = g.neighbors.map((_, v) => v + 1);
+    let tie = (candidates) => Math.max(...candidates);
+    yield { labels: labels.slice(), note: "Every vertex starts with a label of its own" };
+
+    for (let sweep = 1; sweep <= max_iter; sweep++) {
+      let next = labels.map((label, v) => most_frequent_label(g.neighbors[v], labels, tie) ?? label);
+      let changed = next.filter((label, v) => label !== labels[v]).length;
+      labels = next;
+      yield {
+        labels: labels.slice(),
+        note: `Sweep ${sweep}: ${changed} vertices changed their label`,
+        done: changed === 0 || sweep === max_iter,
+      };
+      if (changed === 0) return;
+    }
+  }
+
+  /**
+   * `Louvain`: every vertex starts in a community of its own. In the local phase of a
+   * pass, vertices move to the neighboring community that increases the modularity most,
+   * until no move does. The communities then become the (weighted) vertices of the graph
+   * of the next pass. Yields after every local phase and every aggregation.
+   *
+   * @param {object} g
+   * @param {object} options { random }
+   */
+  function* louvain(g, options = {}) {
+    let rand = options.random || random(1);
+    // The graph of the current pass: adjacency[v] maps neighbors (and v itself, for the
+    // edges within an aggregated community, counted twice) to edge weights
+    let adjacency = g.neighbors.map((neighbors) => new Map(neighbors.map((w) => [w, 1])));
+    // The vertex of the current graph that each original vertex ended up in
+    let membership = g.neighbors.map((_, v) => v);
+    let m2 = 2 * g.edges.length;
+    yield {
+      labels: membership.map((v) => v + 1),
+      note: "Every vertex starts in a community of its own",
+    };
+    if (m2 === 0) return;
+
+    for (let pass = 1; ; pass++) {
+      let n = adjacency.length;
+      let degree = adjacency.map((weights) => [...weights.values()].reduce((a, b) => a + b, 0));
+      let community = degree.map((_, v) => v);
+      let total = degree.slice();
+      let moves = 0;
+      let moved = true;
+      let order = community.map((_, v) => v);
+      while (moved) {
+        moved = false;
+        shuffle(order, rand).forEach((v) => {
+          // The weight of the edges from v to each neighboring community
+          let links = new Map([[community[v], 0]]);
+          adjacency[v].forEach((weight, w) => {
+            if (w !== v) links.set(community[w], (links.get(community[w]) || 0) + weight);
+          });
+          total[community[v]] -= degree[v];
+          let best = community[v];
+          let best_gain = links.get(best) - (total[best] * degree[v]) / m2;
+          links.forEach((weight, c) => {
+            let gain = weight - (total[c] * degree[v]) / m2;
+            if (gain > best_gain + 1e-12) {
+              best = c;
+              best_gain = gain;
+            }
+          });
+          total[best] += degree[v];
+          if (best !== community[v]) {
+            community[v] = best;
+            moves++;
+            moved = true;
+          }
+        });
+      }
+
+      let labels = membership.map((v) => community[v] + 1);
+      let count = new Set(community).size;
+      if (moves === 0) {
+        yield {
+          labels: labels,
+          note: `Pass ${pass}: no move increases the modularity anymore`,
+          done: true,
+        };
+        return;
+      }
+      yield {
+        labels: labels,
+        note: `Pass ${pass}, local phase: ${moves} moves left ${count} communities`,
+      };
+
+      // Aggregation: the communities become the vertices of the next graph
+      let renumbered = new Map([...new Set(community)].map((c, i) => [c, i]));
+      let next = Array.from({ length: renumbered.size }, () => new Map());
+      for (let v = 0; v < n; v++) {
+        let cv = renumbered.get(community[v]);
+        adjacency[v].forEach((weight, w) => {
+          let cw = renumbered.get(community[w]);
+          next[cv].set(cw, (next[cv].get(cw) || 0) + weight);
+        });
+      }
+      adjacency = next;
+      membership = membership.map((v) => renumbered.get(community[v]));
+      yield {
+        labels: labels,
+        note: `Pass ${pass}, aggregation: the ${count} communities become the vertices of the next pass`,
+        done: count === 1,
+      };
+      if (count === 1) return;
+    }
+  }
+
+  /**
+   * `KClique` (with K = 3): communities are the groups of triangles that are connected
+   * through shared edges. Vertices in no triangle are in no community (null). Yields once
+   * the triangles are found and then for every community.
+   *
+   * @param {object} g
+   */
+  function* k_clique(g) {
+    let triangles = [];
+    g.neighbors.forEach((neighbors, v) => {
+      neighbors.forEach((w) => {
+        if (w <= v) return;
+        g.neighbors[w].forEach((u) => {
+          if (u > w && neighbors.includes(u)) triangles.push([v, w, u]);
+        });
+      });
+    });
+    let labels = g.neighbors.map(() => null);
+    yield {
+      labels: labels.slice(),
+      note: `Found ${triangles.length} triangles`,
+      done: triangles.length === 0,
+    };
+
+    // Connected components of the triangles, adjacent if they share two vertices
+    let component = triangles.map(() => null);
+    let count = 0;
+    for (let start = 0; start < triangles.length; start++) {
+      if (component[start] !== null) continue;
+      count++;
+      component[start] = count;
+      let stack = [start];
+      let size = 0;
+      while (stack.length) {
+        let t = stack.pop();
+        size++;
+        triangles[t].forEach((v) => (labels[v] = count));
+        triangles.forEach((other, o) => {
+          if (component[o] === null && other.filter((v) => triangles[t].includes(v)).length === 2) {
+            component[o] = count;
+            stack.push(o);
+          }
+        });
+      }
+      yield {
+        labels: labels.slice(),
+        note: `Community ${count}: ${size} triangles that share edges`,
+        done: !component.includes(null),
+      };
+    }
+  }
+
+  /**
+   * `PageRank`: not a division into communities but a score for every vertex, refined by
+   * power iteration as in GraphCommunities.jl. Yields the normalized scores after every
+   * iteration.
+   *
+   * @param {object} g
+   * @param {object} options { d: 0.85, tol: 1e-6, max_iter: 100 }
+   */
+  function* pagerank(g, options = {}) {
+    let d = options.d ?? 0.85;
+    let tol = options.tol ?? 1e-6;
+    let max_iter = options.max_iter || 100;
+    let scores = g.neighbors.map(() => 1 / g.n);
+    let normalized = () => {
+      let sum = scores.reduce((a, b) => a + b, 0);
+      return scores.map((s) => s / sum);
+    };
+    yield { scores: normalized(), note: "Every vertex starts with the same score" };
+
+    for (let iteration = 1; iteration <= max_iter; iteration++) {
+      let old = scores.slice();
+      scores.forEach((_, i) => {
+        let s = 0;
+        g.neighbors[i].forEach((j) => (s += scores[j] / g.neighbors[j].length));
+        scores[i] = 1 - d + d * s;
+      });
+      let change = Math.max(...scores.map((s, i) => Math.abs(s - old[i])));
+      yield {
+        scores: normalized(),
+        note: `Iteration ${iteration}: the scores changed by at most ${change.toPrecision(3)}`,
+        done: change < tol || iteration === max_iter,
+      };
+      if (change < tol) return;
+    }
+  }
+
+  // The algorithms of the playground, by the name of their type in GraphCommunities.jl
+  const algorithms = {
+    Louvain: louvain,
+    LabelPropagation: label_propagation,
+    FastLPA: fast_label_propagation,
+    KClique: k_clique,
+    PageRank: pagerank,
+  };
+
+  /**
+   * Place the vertices with a force-directed layout (Fruchterman-Reingold)
+   *
+   * @param {object} g
+   * @param {function} rand
+   * @returns number[][] an [x, y] in [0, 1] for every vertex
+   */
+  function layout(g, rand = random(1)) {
+    let positions = g.neighbors.map(() => [rand(), rand()]);
+    let k = Math.sqrt(1 / Math.max(g.n, 1));
+    let temperature = 0.1;
+    for (let iteration = 0; iteration < 300; iteration++) {
+      let moves = positions.map(() => [0, 0]);
+      for (let v = 0; v < g.n; v++) {
+        for (let u = v + 1; u < g.n; u++) {
+          let dx = positions[v][0] - positions[u][0];
+          let dy = positions[v][1] - positions[u][1];
+          let distance = Math.max(Math.hypot(dx, dy), 1e-6);
+          let force = (k * k) / distance;
+          let attraction = g.neighbors[v].includes(u) ? (distance * distance) / k : 0;
+          let f = (force - attraction) / distance;
+          moves[v][0] += dx * f;
+          moves[v][1] += dy * f;
+          moves[u][0] -= dx * f;
+          moves[u][1] -= dy * f;
+        }
+      }
+      positions.forEach((p, v) => {
+        let length = Math.max(Math.hypot(...moves[v]), 1e-6);
+        p[0] += (moves[v][0] / length) * Math.min(length, temperature);
+        p[1] += (moves[v][1] / length) * Math.min(length, temperature);
+      });
+      temperature *= 0.98;
+    }
+
+    // Fit into the unit square
+    let xs = positions.map((p) => p[0]);
+    let ys = positions.map((p) => p[1]);
+    let [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    return positions.map(([x, y]) => [(x - x0) / (x1 - x0 || 1), (y - y0) / (y1 - y0 || 1)]);
+  }
+
+  return {
+    graph: graph,
+    karate_club: karate_club,
+    chained_cliques: chained_cliques,
+    planted_partition: planted_partition,
+    random: random,
+    modularity: modularity,
+    graph_modularity: graph_modularity,
+    partition_quality: partition_quality,
+    algorithms: algorithms,
+    layout: layout,
+  };
+});
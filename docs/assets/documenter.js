@@ -1,18 +1,80 @@
 // Generated by Documenter.jl
-requirejs.config({
-  paths: {
-    'highlight-julia': 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/languages/julia.min',
-    'headroom': 'https://cdnjs.cloudflare.com/ajax/libs/headroom/0.12.0/headroom.min',
-    'jqueryui': 'https://cdnjs.cloudflare.com/ajax/libs/jqueryui/1.13.2/jquery-ui.min',
-    'minisearch': 'https://cdn.jsdelivr.net/npm/minisearch@6.1.0/dist/umd/index.min',
-    'katex-auto-render': 'https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.8/contrib/auto-render.min',
-    'jquery': 'https://cdnjs.cloudflare.com/ajax/libs/jquery/3.7.0/jquery.min',
-    'headroom-jquery': 'https://cdnjs.cloudflare.com/ajax/libs/headroom/0.12.0/jQuery.headroom.min',
-    'katex': 'https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.8/katex.min',
-    'highlight': 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/highlight.min',
-    'highlight-julia-repl': 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/languages/julia-repl.min',
-  },
-  shim: {
+////////////////////////////////////////////////////////////////////////////////
+// Asset loading. Every module is tried from its CDN first and falls back to the copy
+// vendored under assets/vendor/ (RequireJS resolves those relative to this file), so the
+// docs keep working on networks without internet access. Setting
+// DOCUMENTER_ASSETS_LOCAL_ONLY = true in siteinfo.js skips the CDNs altogether.
+(function () {
+  var assets = {
+    'highlight-julia': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/languages/julia.min',
+      local: 'vendor/highlight/languages/julia.min',
+      integrity: 'sha384-zGnS+rSKjbyNGzXngLn2xa1vryV+eBp+ENRTlKixQTArL7LlJYPK4+Z8dNEbfYJR',
+    },
+    'headroom': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/headroom/0.12.0/headroom.min',
+      local: 'vendor/headroom/headroom.min',
+      integrity: 'sha384-IN5V+aNrOP8uhncVljd8vil442/epyhVFZvhVEb1kGtmHXhyo+Nke/VHRA3dWu7z',
+    },
+    'jqueryui': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/jqueryui/1.13.2/jquery-ui.min',
+      local: 'vendor/jqueryui/jquery-ui.min',
+      integrity: 'sha384-4D3G3GikQs6hLlLZGdz5wLFzuqE9v4yVGAcOH86y23JqBDPzj9viv0EqyfIa6YUL',
+    },
+    // The published (non-minified) UMD build, so that the same hash covers both copies;
+    // jsDelivr's on-the-fly `index.min` differs byte-wise from anything we could vendor.
+    'minisearch': {
+      cdn: 'https://cdn.jsdelivr.net/npm/minisearch@6.1.0/dist/umd/index',
+      local: 'vendor/minisearch/index',
+      integrity: 'sha384-7eDyMndJlFUGZ8ilkF+robv0EWSmvhug9Clyh1TPuNjx2stUeOySsgs8ZNKvucAC',
+    },
+    'katex-auto-render': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.8/contrib/auto-render.min',
+      local: 'vendor/katex/contrib/auto-render.min',
+      integrity: 'sha384-+VBxd3r6XgURycqtZ117nYw44OOcIax56Z4dCRWbxyPt0Koah1uHoK0o4+/RRE05',
+    },
+    'jquery': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/jquery/3.7.0/jquery.min',
+      local: 'vendor/jquery/jquery.min',
+      integrity: 'sha384-NXgwF8Kv9SSAr+jemKKcbvQsz+teULH/a5UNJvZc6kP47hZgl62M1vGnw6gHQhb1',
+    },
+    'headroom-jquery': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/headroom/0.12.0/jQuery.headroom.min',
+      local: 'vendor/headroom/jQuery.headroom.min',
+      integrity: 'sha384-QMbBj8zCM+pa1/8ct68MBFiugNTRdX/t8ruYcl6rZHWdtYTu9bFpHhGNidk8NfTe',
+    },
+    'katex': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/KaTeX/0.16.8/katex.min',
+      local: 'vendor/katex/katex.min',
+      integrity: 'sha384-cpW21h6RZv/phavutF+AuVYrr+dA8xD9zs6FwLpaCct6O9ctzYFfFr4dgmgccOTx',
+    },
+    'highlight': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/highlight.min',
+      local: 'vendor/highlight/highlight.min',
+      integrity: 'sha384-g4mRvs7AO0/Ol5LxcGyz4Doe21pVhGNnC3EQw5shw+z+aXDN86HqUdwXWO+Gz2zI',
+    },
+    'highlight-julia-repl': {
+      cdn: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.8.0/languages/julia-repl.min',
+      local: 'vendor/highlight/languages/julia-repl.min',
+      integrity: 'sha384-+bvUChrd44N6bu/kjHH95qcm5mZLZ5nBsvQgqTzM9fowILvV3qZISsVNhS08wY0u',
+    },
+  };
+
+  var local_only =
+    typeof DOCUMENTER_ASSETS_LOCAL_ONLY === "boolean" && DOCUMENTER_ASSETS_LOCAL_ONLY;
+  // module name => "cdn" or "local", filled in as the script tags finish loading
+  var sources = {};
+
+  var paths = {};
+  Object.keys(assets).forEach(function (name) {
+    paths[name] = local_only
+      ? assets[name].local
+      : [assets[name].cdn, assets[name].local];
+  });
+
+  requirejs.config({
+    paths: paths,
+    shim: {
   "highlight-julia": {
     "deps": [
       "highlight"
@@ -34,11 +96,602 @@ requirejs.config({
       "highlight"
     ]
   }
-}
+},
+    // Called for every <script> RequireJS inserts, including the retry with the local
+    // copy after a CDN failure. A copy whose hash does not match fails to load, which
+    // triggers the fallback just like a network error would.
+    onNodeCreated: function (node, config, name, url) {
+      var asset = assets[name];
+      if (asset === undefined) return;
+      var source = /^https?:\/\//.test(url) ? "cdn" : "local";
+      // Browsers refuse integrity-checked scripts from file:// URLs, since those
+      // responses are opaque, so the docs must stay usable when opened from disk.
+      if (source === "cdn" || window.location.protocol !== "file:") {
+        node.setAttribute("integrity", asset.integrity);
+        node.setAttribute("crossorigin", "anonymous");
+      }
+      node.addEventListener("load", function () {
+        sources[name] = source;
+      });
+    },
+  });
+
+  define("documenter-assets", [], function () {
+    return {
+      /**
+       * Where a module was eventually loaded from
+       *
+       * @param {string} name
+       * @returns {string|undefined} "cdn", "local" or undefined if not loaded (yet)
+       */
+      source: function (name) {
+        return sources[name];
+      },
+      /**
+       * Append a stylesheet link (relative to this file) to <head>, once
+       *
+       * @param {string} path
+       */
+      stylesheet: function (path) {
+        var href = require.toUrl(path);
+        if (document.querySelector('link[href="' + href + '"]') !== null) return;
+        var link = document.createElement("link");
+        link.rel = "stylesheet";
+        link.type = "text/css";
+        link.href = href;
+        document.head.appendChild(link);
+      },
+    };
+  });
+})();
+////////////////////////////////////////////////////////////////////////////////
+// Graceful degradation. When a module cannot be loaded at all (neither from the CDN nor
+// from the local copy), the require() blocks below that depend on it never run. We list
+// the failed modules in a banner at the top of the page and swap in dependency-free
+// versions of the features that are needed to find one's way around the docs.
+(function () {
+  // Features of the page and the modules their require() blocks need. Features with a
+  // `fallback` get a basic replacement, the others are simply reported as unavailable.
+  var features = [
+    {
+      name: "search",
+      needs: ["jquery", "minisearch", "search-engine", "search-versions", "html"],
+      fallback: basic_search,
+    },
+    {
+      name: "navigation and settings",
+      needs: ["jquery"],
+      fallback: basic_navigation,
+    },
+    {
+      name: "math rendering",
+      needs: ["jquery", "katex", "katex-auto-render"],
+    },
+    {
+      name: "syntax highlighting",
+      needs: ["jquery", "highlight", "highlight-julia", "highlight-julia-repl"],
+    },
+    {
+      name: "copying REPL examples without prompts",
+      needs: ["repl"],
+    },
+    {
+      name: "code block toolbar",
+      needs: ["jquery"],
+    },
+    {
+      name: "auto-hiding navigation bar",
+      needs: ["jquery", "headroom", "headroom-jquery"],
+    },
+    {
+      name: "algorithm playground",
+      needs: ["jquery", "playground", "graph-widgets", "communities", "html"],
+    },
+    {
+      name: "edge list viewer",
+      needs: ["jquery", "edgelist-viewer", "graph-widgets", "edgelist", "communities", "html"],
+    },
+    {
+      name: "graph generator",
+      needs: ["jquery", "graph-generator", "graph-widgets", "edgelist", "communities", "html"],
+    },
+    {
+      name: "partition calculator",
+      needs: ["jquery", "partition-calculator", "graph-widgets", "edgelist", "communities", "html"],
+    },
+  ];
+
+  var failed = [];
+  var degraded = [];
+  var default_on_error = requirejs.onError;
+
+  requirejs.onError = function (err) {
+    // Errors thrown by the code of a module or a require() callback are real bugs, so
+    // they keep propagating as they would without this handler.
+    if (!["scripterror", "timeout", "nodefine"].includes(err.requireType)) {
+      return default_on_error(err);
+    }
+
+    console.error(err);
+    (err.requireModules || []).forEach(function (name) {
+      if (!failed.includes(name)) failed.push(name);
+    });
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", degrade);
+    } else {
+      degrade();
+    }
+  };
+
+  /**
+   * Start the fallbacks of every feature that is affected by the failed modules and
+   * (re-)render the banner listing them.
+   */
+  function degrade() {
+    let affected = features.filter((feature) =>
+      feature.needs.some((name) => failed.includes(name))
+    );
+
+    affected.forEach((feature) => {
+      if (feature.fallback && !degraded.includes(feature.name)) {
+        degraded.push(feature.name);
+        feature.fallback();
+      }
+    });
+
+    show_banner(affected);
+  }
+
+  /**
+   * Make/Update the banner reporting the modules that could not be loaded
+   *
+   * @param {object[]} affected
+   */
+  function show_banner(affected) {
+    let banner = document.querySelector(".documenter-load-error");
+    if (banner === null) {
+      banner = document.createElement("div");
+      banner.classList.add("notification", "is-warning", "documenter-load-error");
+      banner.setAttribute("role", "alert");
+
+      let page =
+        document.querySelector("#documenter-page") || document.body;
+      page.insertBefore(banner, page.firstChild);
+    }
+
+    let basic = affected.filter((feature) => feature.fallback);
+    let unavailable = affected.filter((feature) => !feature.fallback);
+
+    let message = `Some scripts used by this page could not be loaded: ${failed.join(", ")}.`;
+    if (basic.length) {
+      message += ` Using a basic version of: ${basic.map((f) => f.name).join(", ")}.`;
+    }
+    if (unavailable.length) {
+      message += ` Not available: ${unavailable.map((f) => f.name).join(", ")}.`;
+    }
+
+    banner.textContent = message;
+
+    let closer = document.createElement("button");
+    closer.classList.add("delete");
+    closer.setAttribute("aria-label", "Dismiss");
+    closer.addEventListener("click", function () {
+      banner.remove();
+    });
+    banner.appendChild(closer);
+  }
+
+  /**
+   * Plain substring search over documenterSearchIndex, rendered into the search modal.
+   * The modal itself is created here too if the regular one (which needs jQuery) is
+   * missing. jQuery may still arrive later, and then the regular modal takes the place of
+   * this one, so the modal is looked up whenever the query changes.
+   */
+  function basic_search() {
+    if (typeof documenterSearchIndex === "undefined") return;
+
+    if (document.querySelector("#search-modal") === null) make_basic_search_modal();
+
+    document.addEventListener("input", function (event) {
+      let input = event.target;
+      let modal = input.closest("#search-modal");
+      if (modal === null || !input.matches(".documenter-search-input")) return;
+      let body = modal.querySelector(".search-modal-card-body");
+
+      let query = input.value.trim().toLowerCase();
+      body.textContent = "";
+      if (!query) return;
+
+      let links = [];
+      let results = documenterSearchIndex["docs"]
+        .map((doc) => ({
+          doc: doc,
+          in_title: doc.title.toLowerCase().includes(query),
+          at: doc.text.toLowerCase().indexOf(query),
+        }))
+        .filter((x) => x.in_title || x.at !== -1)
+        .sort((a, b) => b.in_title - a.in_title)
+        .filter((x) => {
+          // Checking for duplication of results for the same page
+          if (links.includes(x.doc.location)) return false;
+          links.push(x.doc.location);
+          return true;
+        });
+
+      body.classList.remove("is-justify-content-center");
+
+      let count = document.createElement("div");
+      count.classList.add("is-size-6");
+      count.textContent = `${results.length} result(s)`;
+      body.appendChild(count);
+
+      results.forEach((x) => {
+        let link = document.createElement("a");
+        link.classList.add("search-result-link", "w-100", "px-4", "py-2");
+        link.href = encodeURI(documenterBaseURL + "/" + x.doc.location);
+
+        let title = document.createElement("div");
+        title.classList.add("search-result-title", "has-text-weight-bold");
+        title.textContent = x.doc.title;
+        link.appendChild(title);
+
+        if (x.at !== -1) {
+          let text = document.createElement("p");
+          text.textContent =
+            "..." +
+            x.doc.text.slice(Math.max(x.at - 100, 0), x.at + query.length + 100) +
+            "...";
+          link.appendChild(text);
+        }
+
+        link.addEventListener("click", function () {
+          modal.classList.remove("is-active");
+        });
+        body.appendChild(link);
+      });
+    });
+  }
+
+  /**
+   * Make a bare-bones version of the search modal, wired up without jQuery. It does
+   * nothing anymore once the regular modal has replaced it.
+   *
+   * @returns {HTMLElement}
+   */
+  function make_basic_search_modal() {
+    let modal = document.createElement("div");
+    modal.classList.add("modal");
+    modal.id = "search-modal";
+    modal.innerHTML = `
+      <div class="modal-background"></div>
+      <div class="modal-card search-min-width-50 search-min-height-100 is-justify-content-center">
+        <header class="modal-card-head gap-2 is-align-items-center is-justify-content-space-between w-100 px-3">
+          <div class="field mb-0 w-100">
+            <input class="input documenter-search-input" type="text" placeholder="Search" />
+          </div>
+          <div class="icon is-size-4 is-clickable close-search-modal">
+            <i class="fas fa-times"></i>
+          </div>
+        </header>
+        <section class="modal-card-body is-flex is-flex-direction-column gap-4 search-modal-card-body"></section>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    let open = function () {
+      if (!modal.isConnected) return;
+      modal.classList.add("is-active");
+      modal.querySelector(".documenter-search-input").focus();
+    };
+    let close = function () {
+      modal.classList.remove("is-active");
+    };
+
+    let button = document.querySelector(".docs-search-query");
+    if (button !== null) button.addEventListener("click", open);
+    modal.querySelector(".close-search-modal").addEventListener("click", close);
+    modal.querySelector(".modal-background").addEventListener("click", close);
+    document.addEventListener("keydown", (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key === "/") {
+        open();
+      } else if (event.key === "Escape") {
+        close();
+      }
+    });
+
+    return modal;
+  }
+
+  /**
+   * jQuery-free sidebar toggle, settings dialog, theme picker and version selector
+   */
+  function basic_navigation() {
+    let sidebar = document.querySelector("#documenter > .docs-sidebar");
+    let sidebar_button = document.querySelector("#documenter-sidebar-button");
+    if (sidebar !== null && sidebar_button !== null) {
+      sidebar_button.addEventListener("click", function (ev) {
+        ev.preventDefault();
+        sidebar.classList.toggle("visible");
+      });
+      document
+        .querySelector("#documenter > .docs-main")
+        .addEventListener("click", function (ev) {
+          if (ev.target !== sidebar_button) sidebar.classList.remove("visible");
+        });
+    }
+
+    let settings = document.querySelector("#documenter-settings");
+    let settings_button = document.querySelector("#documenter-settings-button");
+    if (settings !== null && settings_button !== null) {
+      settings_button.addEventListener("click", function () {
+        settings.classList.toggle("is-active");
+      });
+      settings
+        .querySelector("button.delete")
+        .addEventListener("click", function () {
+          settings.classList.remove("is-active");
+        });
+      document.addEventListener("keyup", function (e) {
+        if (e.key === "Escape") settings.classList.remove("is-active");
+      });
+    }
+
+    let themepicker = document.querySelector("#documenter-themepicker");
+    if (themepicker !== null && typeof window.localStorage !== "undefined") {
+      let theme = window.localStorage.getItem("documenter-theme");
+      if (theme !== null) themepicker.value = theme;
+      themepicker.addEventListener("change", function () {
+        window.DocumenterTheme.setTheme(themepicker.value);
+      });
+    }
+
+    let version_selector = document.querySelector("#documenter .docs-version-selector");
+    let version_select = document.querySelector("#documenter .docs-version-selector select");
+    if (
+      version_select === null ||
+      (typeof DOCUMENTER_VERSION_SELECTOR_DISABLED === "boolean" &&
+        DOCUMENTER_VERSION_SELECTOR_DISABLED)
+    ) {
+      return;
+    }
+    version_select.addEventListener("change", function () {
+      window.location.href = version_select.value;
+    });
+    if (
+      typeof DOCUMENTER_CURRENT_VERSION !== "undefined" &&
+      version_select.options.length == 0
+    ) {
+      version_select.add(new Option(DOCUMENTER_CURRENT_VERSION, "#", true, true));
+    }
+    if (typeof DOC_VERSIONS !== "undefined") {
+      DOC_VERSIONS.forEach(function (each) {
+        let version_url = documenterBaseURL + "/../" + each + "/";
+        let existing = [...version_select.options].find((x) => x.text === each);
+        if (existing === undefined) {
+          version_select.add(new Option(each, version_url));
+        } else {
+          existing.value = version_url;
+          existing.disabled = false;
+        }
+      });
+    }
+    if (version_select.options.length > 0) {
+      version_selector.classList.add("visible");
+    }
+  }
+})();
+////////////////////////////////////////////////////////////////////////////////
+// Reader preferences, set in the settings dialog and kept in localStorage. Only the
+// preferences that differ from the defaults are stored. The ones that are a matter of
+// style are applied here, with a <style> element; the others are up to the modules that
+// they concern:
+//
+//  - font_size, content_width, code_font: one of the keys of their `values`
+//  - code_wrap: wrap long lines in code blocks instead of scrolling them
+//  - code_line_numbers: number the lines of code blocks, which also makes them links
+//  - copy_mode: what the copy buttons copy of REPL examples, "input" (without prompts
+//    and output) or the whole "transcript"
+//  - docstrings_collapsed: start with all docstrings collapsed
+//  - math: render LaTeX with KaTeX
+//  - reduced_motion: no animations or transitions, which defaults to the OS setting
+define("documenter-preferences", [], function () {
+  const key = "documenter-preferences";
+  const preferences = {
+    font_size: {
+      default: "medium",
+      values: { small: "14px", medium: "16px", large: "18px", "x-large": "20px" },
+    },
+    content_width: {
+      default: "normal",
+      values: { normal: null, wide: "72rem", full: "none" },
+    },
+    code_font: {
+      default: "juliamono",
+      values: {
+        juliamono: null,
+        system: 'ui-monospace, "SFMono-Regular", "Menlo", "Consolas", "Liberation Mono", monospace',
+      },
+    },
+    code_wrap: { default: false },
+    code_line_numbers: { default: false },
+    copy_mode: {
+      default: "input",
+      values: { input: null, transcript: null },
+    },
+    docstrings_collapsed: { default: false },
+    math: { default: true },
+    reduced_motion: {
+      default: window.matchMedia("(prefers-reduced-motion: reduce)").matches === true,
+    },
+  };
+  let listeners = [];
+  // The preferences that could not be stored, which then hold for this page only
+  let unsaved = null;
+
+  /**
+   * Whether a value is allowed for a preference
+   *
+   * @param {string} name
+   * @param {*} value
+   * @returns boolean
+   */
+  function valid(name, value) {
+    let preference = preferences[name];
+    if (preference === undefined) return false;
+    return preference.values
+      ? Object.prototype.hasOwnProperty.call(preference.values, value)
+      : typeof value === "boolean";
+  }
+
+  /**
+   * @returns object the default of every preference, by name
+   */
+  function defaults() {
+    let values = {};
+    Object.keys(preferences).forEach((name) => (values[name] = preferences[name].default));
+    return values;
+  }
+
+  /**
+   * @returns object all preferences, by name
+   */
+  function read() {
+    let values = defaults();
+    if (unsaved === null && typeof window.localStorage === "undefined") return values;
+    try {
+      let json = unsaved || JSON.parse(window.localStorage.getItem(key)) || {};
+      Object.keys(json).forEach((name) => {
+        if (valid(name, json[name])) values[name] = json[name];
+      });
+    } catch (err) {
+      // Stick to the defaults
+    }
+    return values;
+  }
+
+  /**
+   * Store all preferences, apply them and let the modules know
+   *
+   * @param {object} values
+   */
+  function write(values) {
+    let changed = {};
+    Object.keys(values).forEach((name) => {
+      if (values[name] !== preferences[name].default) changed[name] = values[name];
+    });
+    try {
+      window.localStorage.setItem(key, JSON.stringify(changed));
+      unsaved = null;
+    } catch (err) {
+      // Storage is full, disabled (e.g. Safari's private browsing) or missing
+      unsaved = changed;
+    }
+    apply();
+    let all = read();
+    listeners.forEach((callback) => callback(all));
+  }
+
+  // The preferences that only take some CSS. The themes set the font size of <html>.
+  function apply() {
+    let values = read();
+    let css = [`html { font-size: ${preferences.font_size.values[values.font_size]} !important; }`];
+    let width = preferences.content_width.values[values.content_width];
+    if (width !== null) {
+      css.push(`#documenter .docs-main, #documenter .docs-main > article { max-width: ${width} !important; }`);
+    }
+    let code_font = preferences.code_font.values[values.code_font];
+    if (code_font !== null) {
+      css.push(`code, pre, .hljs { font-family: ${code_font} !important; }`);
+    }
+    if (values.code_wrap) {
+      css.push("pre, pre code { white-space: pre-wrap !important; overflow-wrap: anywhere; }");
+    }
+    if (values.code_line_numbers) {
+      css.push("pre .code-line-number { display: inline-block !important; }");
+    }
+    if (values.reduced_motion) {
+      css.push(
+        "*, *::before, *::after { transition: none !important; animation: none !important; scroll-behavior: auto !important; }"
+      );
+    }
+
+    let style = document.getElementById("documenter-preferences");
+    if (style === null) {
+      style = document.createElement("style");
+      style.id = "documenter-preferences";
+      document.head.appendChild(style);
+    }
+    style.textContent = css.join("\n");
+  }
+  apply();
+
+  return {
+    preferences: preferences,
+    read: read,
+    /**
+     * @param {string} name
+     * @returns {*} the value of a preference
+     */
+    get: function (name) {
+      return read()[name];
+    },
+    /**
+     * Change a preference. Invalid values are ignored.
+     *
+     * @param {string} name
+     * @param {*} value
+     */
+    set: function (name, value) {
+      if (!valid(name, value)) return;
+      write(Object.assign(read(), { [name]: value }));
+    },
+    reset: function () {
+      write(defaults());
+    },
+    /**
+     * @returns string all preferences as JSON, to be imported elsewhere
+     */
+    export: function () {
+      return JSON.stringify(read(), null, 2);
+    },
+    /**
+     * Take over exported preferences. Unknown preferences and invalid values are
+     * ignored, and the preferences that are not in `text` keep their value.
+     *
+     * @param {string} text
+     */
+    import: function (text) {
+      let json = JSON.parse(text);
+      if (json === null || typeof json !== "object" || Array.isArray(json)) {
+        throw new Error("Not a preferences file");
+      }
+      let values = read();
+      Object.keys(json).forEach((name) => {
+        if (valid(name, json[name])) values[name] = json[name];
+      });
+      write(values);
+    },
+    /**
+     * Call `callback` with all preferences whenever they change
+     *
+     * @param {function} callback
+     */
+    on_change: function (callback) {
+      listeners.push(callback);
+    },
+  };
 });
 ////////////////////////////////////////////////////////////////////////////////
-require(['jquery', 'katex', 'katex-auto-render'], function($, katex, renderMathInElement) {
+require(['jquery', 'katex', 'katex-auto-render', 'documenter-assets', 'documenter-preferences'], function($, katex, renderMathInElement, assets, preferences) {
 $(document).ready(function() {
+  // Readers can turn math rendering off in the settings, to read the LaTeX instead
+  if (!preferences.get("math")) return;
+  // The KaTeX stylesheet in <head> comes from the CDN too; if the scripts had to be
+  // loaded from the local copies, that one most likely failed as well.
+  if (assets.source("katex") === "local") {
+    assets.stylesheet("vendor/katex/katex.min.css");
+  }
   renderMathInElement(
     document.body,
     {
@@ -68,86 +721,382 @@ $(document).ready(function() {
 ////////////////////////////////////////////////////////////////////////////////
 require(['jquery', 'highlight', 'highlight-julia', 'highlight-julia-repl'], function($) {
 $(document).ready(function() {
+    // The code block toolbar may have split the lines of the code blocks already
+    hljs.configure({ ignoreUnescapedHTML: true });
     hljs.highlightAll();
+    // For the blocks that start listening only after this
+    $(document).data("documenter-highlighted", true);
+    $(document).trigger("documenter:highlighted");
 })
 
 })
 ////////////////////////////////////////////////////////////////////////////////
-require(['jquery'], function($) {
-
-let timer = 0;
-var isExpanded = true;
+require(['jquery', 'documenter-preferences'], function($, preferences) {
+
+// The toolbar of the code blocks of the page, next to their copy buttons: the language
+// of the block, a button for line numbers (a reader preference, for all blocks) and one
+// that wraps the long lines of the block. Every line of a code block is a link, e.g.
+// #code-3-L4 for the fourth line of the third block, and shift-clicking a second line
+// number links to the lines in between, like #code-3-L4-L7. The lines a link points to
+// are highlighted when it is opened.
+//
+// Highlighting replaces the markup of the code, so the lines are split again afterwards.
+// The toolbar and the line numbers have no text of their own, which keeps them out of
+// what the copy buttons copy.
+const line_link = /^#code-(\d+)-L(\d+)(?:-L(\d+))?$/;
+// The prompts of the REPL modes, which make a Julia code block a julia-repl one
+const repl_prompt = /^(julia|help\?|shell|(\([^)]*\) )?pkg)> /m;
+
+// The <pre> elements of the code blocks, in order of their numbers
+let blocks = [];
 
-$(document).on("click", ".docstring header", function () {
-  let articleToggleTitle = "Expand docstring";
+/**
+ * The language of a code block, as highlight.js calls it
+ *
+ * @param {HTMLElement} pre
+ * @returns string|null
+ */
+function block_language(pre) {
+  let match = /(?:^|\s)language-(\S+)/.exec(pre.firstElementChild.className);
+  if (match === null) return null;
+  if (match[1] === "julia" && repl_prompt.test(pre.textContent)) return "julia-repl";
+  return match[1];
+}
 
-  debounce(() => {
-    if ($(this).siblings("section").is(":visible")) {
-      $(this)
-        .find(".docstring-article-toggle-button")
-        .removeClass("fa-chevron-down")
-        .addClass("fa-chevron-right");
+/**
+ * Wrap every line of a code block in a <span class="code-line"> that starts with its line
+ * number. The elements of the highlighting that span several lines are closed at the end
+ * of every line and opened again on the next one.
+ *
+ * @param {HTMLElement} pre
+ */
+function split_lines(pre) {
+  let code = pre.firstElementChild;
+  if (code.querySelector(".code-line") !== null) return;
+  let open = [];
+  let lines = [""];
+  code.innerHTML.split(/(<[^>]*>)/).forEach((part) => {
+    if (part.startsWith("</")) {
+      open.pop();
+      lines[lines.length - 1] += part;
+    } else if (part.startsWith("<")) {
+      open.push(part);
+      lines[lines.length - 1] += part;
     } else {
-      $(this)
-        .find(".docstring-article-toggle-button")
-        .removeClass("fa-chevron-right")
-        .addClass("fa-chevron-down");
-
-      articleToggleTitle = "Collapse docstring";
+      part.split("\n").forEach((text, i) => {
+        if (i > 0) {
+          let closing = open.map((tag) => `</${/^<([\w-]+)/.exec(tag)[1]}>`).reverse();
+          lines[lines.length - 1] += closing.join("");
+          lines.push(open.join(""));
+        }
+        lines[lines.length - 1] += text;
+      });
     }
+  });
+  // The newline at the end of a block does not start another line
+  if (lines.length > 1 && lines[lines.length - 1] === open.join("")) lines.pop();
+  code.innerHTML = lines
+    .map((line, i) => {
+      let id = `${pre.id}-L${i + 1}`;
+      return (
+        `<span class="code-line" id="${id}" data-line="${i + 1}">` +
+        `<a class="code-line-number" href="#${id}" aria-label="Line ${i + 1}" data-line="${i + 1}"></a>` +
+        `${line}</span>`
+      );
+    })
+    .join("\n");
+}
 
-    $(this)
-      .find(".docstring-article-toggle-button")
-      .prop("title", articleToggleTitle);
-    $(this).siblings("section").slideToggle();
+/**
+ * Wrap the long lines of a code block, or scroll them
+ *
+ * @param {HTMLElement} pre
+ * @param {boolean|null} wrap null to follow the reader preference
+ */
+function set_wrap(pre, wrap) {
+  let button = pre.querySelector(".code-wrap-button");
+  if (wrap === null) {
+    delete pre.dataset.wrap;
+    [pre, pre.firstElementChild].forEach((el) => {
+      el.style.removeProperty("white-space");
+      el.style.removeProperty("overflow-wrap");
+    });
+    wrap = preferences.get("code_wrap");
+  } else {
+    pre.dataset.wrap = String(wrap);
+    [pre, pre.firstElementChild].forEach((el) => {
+      el.style.setProperty("white-space", wrap ? "pre-wrap" : "pre", "important");
+      el.style.setProperty("overflow-wrap", wrap ? "anywhere" : "normal");
+    });
+  }
+  button.setAttribute("aria-pressed", String(wrap));
+  button.setAttribute("title", wrap ? "Scroll long lines" : "Wrap long lines");
+}
+
+/**
+ * @param {HTMLElement} pre
+ * @returns HTMLElement the toolbar of the code block
+ */
+function make_toolbar(pre) {
+  let toolbar = $('<div class="code-toolbar"></div>');
+  let language = block_language(pre);
+  if (language !== null) {
+    $('<span class="code-language" role="img"></span>')
+      .attr("data-language", language)
+      .attr("aria-label", `Language: ${language}`)
+      .appendTo(toolbar);
+  }
+  $('<button class="code-toolbar-button code-line-numbers-button fa-solid fa-list-ol"></button>')
+    .attr("aria-label", "Show line numbers")
+    .attr("title", "Show line numbers")
+    .attr("aria-pressed", String(preferences.get("code_line_numbers")))
+    .on("click", function () {
+      preferences.set("code_line_numbers", !preferences.get("code_line_numbers"));
+    })
+    .appendTo(toolbar);
+  $('<button class="code-toolbar-button code-wrap-button fa-solid fa-arrow-turn-down"></button>')
+    .attr("aria-label", "Wrap long lines")
+    .on("click", function () {
+      set_wrap(pre, $(this).attr("aria-pressed") !== "true");
+    })
+    .appendTo(toolbar);
+  return toolbar[0];
+}
+
+/**
+ * Highlight the lines of the code block that the URL points to, if any
+ *
+ * @param {boolean} scroll whether to scroll to them
+ */
+function highlight_target(scroll) {
+  $(".code-line.is-highlighted").removeClass("is-highlighted");
+  let match = line_link.exec(window.location.hash);
+  if (match === null) return;
+  let pre = document.getElementById(`code-${match[1]}`);
+  if (pre === null) return;
+  let first = Number(match[2]);
+  let last = match[3] === undefined ? first : Number(match[3]);
+  if (last < first) [first, last] = [last, first];
+  let lines = $(pre)
+    .find(".code-line")
+    .filter((i, line) => Number(line.dataset.line) >= first && Number(line.dataset.line) <= last)
+    .addClass("is-highlighted");
+  if (scroll && lines.length > 0) lines[0].scrollIntoView();
+}
+
+$(document).ready(function () {
+  blocks = $("#documenter-page pre")
+    .filter((i, pre) => pre.firstElementChild !== null && pre.firstElementChild.tagName === "CODE")
+    .toArray();
+  blocks.forEach((pre, i) => {
+    pre.id = `code-${i + 1}`;
+    split_lines(pre);
+    pre.appendChild(make_toolbar(pre));
+    set_wrap(pre, null);
   });
+  highlight_target(true);
 });
 
-$(document).on("click", ".docs-article-toggle-button", function () {
-  let articleToggleTitle = "Expand docstring";
-  let navArticleToggleTitle = "Expand all docstrings";
+$(document).on("documenter:highlighted", function () {
+  blocks.forEach(split_lines);
+  highlight_target(false);
+});
+$(window).on("hashchange", function () {
+  highlight_target(true);
+});
 
-  debounce(() => {
-    if (isExpanded) {
-      $(this).removeClass("fa-chevron-up").addClass("fa-chevron-down");
-      $(".docstring-article-toggle-button")
-        .removeClass("fa-chevron-down")
-        .addClass("fa-chevron-right");
+preferences.on_change(function (values) {
+  $(".code-line-numbers-button").attr("aria-pressed", String(values.code_line_numbers));
+  blocks.filter((pre) => pre.dataset.wrap === undefined).forEach((pre) => set_wrap(pre, null));
+});
+
+// A click on a line number links to that line, a shift-click to the lines from the one
+// linked before in the same block
+$(document).on("click", ".code-line-number", function (e) {
+  e.preventDefault();
+  let pre = $(this).closest("pre")[0];
+  let line = Number(this.dataset.line);
+  let range = `L${line}`;
+  let match = line_link.exec(window.location.hash);
+  if (e.shiftKey && match !== null && `code-${match[1]}` === pre.id) {
+    let start = Number(match[2]);
+    range = start === line ? `L${line}` : `L${Math.min(start, line)}-L${Math.max(start, line)}`;
+  }
+  window.history.replaceState(null, "", `#${pre.id}-${range}`);
+  highlight_target(false);
+});
 
-      isExpanded = false;
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery', 'documenter-preferences'], function($, preferences) {
+
+// Docstrings are collapsed and expanded one by one, by clicking their header, or all at
+// once with the button in the navbar. What the reader collapsed or expanded is remembered
+// per page in localStorage, and the other docstrings start out as the reader preferences
+// say. A docstring that the URL points to is always expanded.
+const storage_key = "documenter-docstrings";
+// Pages beyond this many are forgotten, the least recently changed first
+const max_pages = 50;
+
+// Reduced motion turns off the sliding of docstrings (and any other jQuery animation)
+$.fx.off = preferences.get("reduced_motion");
+preferences.on_change(function (values) {
+  $.fx.off = values.reduced_motion;
+});
 
-      $(".docstring section").slideUp();
-    } else {
-      $(this).removeClass("fa-chevron-down").addClass("fa-chevron-up");
-      $(".docstring-article-toggle-button")
-        .removeClass("fa-chevron-right")
-        .addClass("fa-chevron-down");
+/**
+ * @returns object whether docstrings are collapsed, by id of the docstring and by page
+ */
+function read_states() {
+  if (typeof window.localStorage === "undefined") return {};
+  try {
+    let states = JSON.parse(window.localStorage.getItem(storage_key));
+    return states !== null && typeof states === "object" ? states : {};
+  } catch (err) {
+    return {};
+  }
+}
 
-      isExpanded = true;
-      articleToggleTitle = "Collapse docstring";
-      navArticleToggleTitle = "Collapse all docstrings";
+/**
+ * Remember whether docstrings of this page are collapsed
+ *
+ * @param {object} changes collapsed or not, by id of the docstring
+ */
+function remember(changes) {
+  if (typeof window.localStorage === "undefined") return;
+  let states = read_states();
+  let page = Object.assign(states[window.location.pathname] || {}, changes);
+  // Moving the page to the end keeps the pages in order of their last change
+  delete states[window.location.pathname];
+  states[window.location.pathname] = page;
+  Object.keys(states)
+    .slice(0, -max_pages)
+    .forEach((path) => delete states[path]);
+  try {
+    window.localStorage.setItem(storage_key, JSON.stringify(states));
+  } catch (err) {
+    // Storage is full or disabled, so the docstrings are left as they are on this page
+    // but not remembered for the next visit
+  }
+}
 
-      $(".docstring section").slideDown();
-    }
+/**
+ * @param {Element} article the .docstring
+ * @returns string the id of its binding, e.g. "GraphCommunities.Louvain"
+ */
+function docstring_id(article) {
+  return $(article).find(".docstring-binding").attr("id");
+}
 
-    $(this).prop("title", navArticleToggleTitle);
-    $(".docstring-article-toggle-button").prop("title", articleToggleTitle);
-  });
-});
+function is_collapsed(article) {
+  return $(article).find(".docstring-article-toggle-button").attr("aria-expanded") === "false";
+}
 
-function debounce(callback, timeout = 300) {
-  if (Date.now() - timer > timeout) {
-    callback();
+/**
+ * Collapse or expand a docstring. A click while it is still sliding finishes that first,
+ * so that no click is lost.
+ *
+ * @param {Element} article the .docstring
+ * @param {boolean} collapsed
+ * @param {boolean} animate
+ */
+function set_collapsed(article, collapsed, animate) {
+  $(article)
+    .find(".docstring-article-toggle-button")
+    .attr("aria-expanded", String(!collapsed))
+    .toggleClass("fa-chevron-down", !collapsed)
+    .toggleClass("fa-chevron-right", collapsed)
+    .prop("title", collapsed ? "Expand docstring" : "Collapse docstring");
+  let sections = $(article).children("section").stop(true, true);
+  if (!animate) {
+    sections.toggle(!collapsed);
+  } else if (collapsed) {
+    sections.slideUp();
+  } else {
+    sections.slideDown();
   }
+}
 
-  clearTimeout(timer);
+// The button in the navbar expands all docstrings as soon as any of them is collapsed
+function update_toggle_all() {
+  let articles = $(".docstring");
+  let collapsed = articles.filter((i, article) => is_collapsed(article)).length;
+  let title = "Collapse all docstrings";
+  if (collapsed === articles.length) {
+    title = "Expand all docstrings";
+  } else if (collapsed > 0) {
+    title = `Expand all docstrings (${collapsed} of ${articles.length} are collapsed)`;
+  }
+  $(".docs-article-toggle-button")
+    .toggleClass("fa-chevron-up", collapsed === 0)
+    .toggleClass("fa-chevron-down", collapsed > 0)
+    .prop("title", title);
+}
 
-  timer = Date.now();
+// Expand the docstring that the URL points to (or that contains what it points to), and
+// scroll to the target again since collapsing docstrings moved it
+function expand_target() {
+  if (!window.location.hash) return;
+  let id = decodeURIComponent(window.location.hash.slice(1));
+  // Links to lines of a code block, like #code-3-L4-L7, point to the first of them
+  let target = document.getElementById(id) || document.getElementById(id.replace(/-L\d+$/, ""));
+  let article = $(target).closest(".docstring");
+  if (article.length === 0) return;
+  if (is_collapsed(article)) {
+    set_collapsed(article, false, false);
+    update_toggle_all();
+  }
+  target.scrollIntoView();
 }
 
+$(document).ready(function () {
+  let collapsed = preferences.get("docstrings_collapsed");
+  let states = read_states()[window.location.pathname] || {};
+  $(".docstring").each(function () {
+    let id = docstring_id(this);
+    set_collapsed(this, typeof states[id] === "boolean" ? states[id] : collapsed, false);
+  });
+  update_toggle_all();
+  expand_target();
+});
+$(window).on("hashchange", expand_target);
+
+$(document).on("click", ".docstring header", function (e) {
+  // The link to the docstring itself only navigates, which expands the docstring anyway
+  if ($(e.target).closest(".docstring-binding").length > 0) return;
+  let article = $(this).closest(".docstring");
+  let collapsed = !is_collapsed(article);
+  set_collapsed(article, collapsed, true);
+  if (docstring_id(article)) remember({ [docstring_id(article)]: collapsed });
+  update_toggle_all();
+});
+
+$(document).on("click", ".docs-article-toggle-button", function () {
+  let articles = $(".docstring");
+  let collapse = !articles.toArray().some(is_collapsed);
+  let changes = {};
+  articles.each(function () {
+    set_collapsed(this, collapse, true);
+    if (docstring_id(this)) changes[docstring_id(this)] = collapse;
+  });
+  remember(changes);
+  update_toggle_all();
+});
+
 })
 ////////////////////////////////////////////////////////////////////////////////
-require([], function() {
+require(['documenter-preferences', 'documenter-download'], function(preferences, download) {
+
+// The copy buttons of the code blocks copy REPL examples without their prompts and output
+// (see repl.js), or as the full transcript, whichever the reader last picked from the menu
+// next to them. The menu also downloads all examples of the page as a script. Until
+// repl.js is loaded, or if it fails to load, the code blocks are copied as they are.
+var repl = null;
+var copy_mode_labels = {
+  input: "Copy input only",
+  transcript: "Copy full transcript",
+};
+
 function addCopyButtonCallbacks() {
   for (const el of document.getElementsByTagName("pre")) {
     const button = document.createElement("button");
@@ -157,27 +1106,41 @@ function addCopyButtonCallbacks() {
 
     el.appendChild(button);
 
-    const success = function () {
-      button.classList.add("success", "fa-check");
-      button.classList.remove("fa-copy");
-    };
-
-    const failure = function () {
-      button.classList.add("error", "fa-xmark");
-      button.classList.remove("fa-copy");
-    };
-
     button.addEventListener("click", function () {
-      copyToClipboard(el.innerText).then(success, failure);
-
-      setTimeout(function () {
-        button.classList.add("fa-copy");
-        button.classList.remove("success", "fa-check", "fa-xmark");
-      }, 5000);
+      copyCodeBlock(el, preferences.get("copy_mode"));
     });
   }
 }
 
+/**
+ * Copy a code block and show on its copy button whether that worked
+ *
+ * @param {HTMLElement} el the <pre>
+ * @param {string} mode "input" or "transcript"
+ */
+function copyCodeBlock(el, mode) {
+  const button = el.querySelector(".copy-button:not(.copy-menu-button)");
+  let text = el.innerText;
+  if (mode === "input" && repl !== null) text = repl.input_only(text);
+
+  const success = function () {
+    button.classList.add("success", "fa-check");
+    button.classList.remove("fa-copy");
+  };
+
+  const failure = function () {
+    button.classList.add("error", "fa-xmark");
+    button.classList.remove("fa-copy");
+  };
+
+  copyToClipboard(text).then(success, failure);
+
+  setTimeout(function () {
+    button.classList.add("fa-copy");
+    button.classList.remove("success", "fa-check", "fa-xmark");
+  }, 5000);
+}
+
 function copyToClipboard(text) {
   // clipboard API is only available in secure contexts
   if (window.navigator && window.navigator.clipboard) {
@@ -203,12 +1166,154 @@ function copyToClipboard(text) {
   }
 }
 
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", addCopyButtonCallbacks);
-} else {
-  addCopyButtonCallbacks();
+/**
+ * Download the examples of the page, i.e. its code blocks with a copy button, as a script
+ */
+function downloadExamples() {
+  const blocks = Array.from(
+    document.querySelectorAll("#documenter-page pre > .copy-button:not(.copy-menu-button)"),
+    (button) => button.parentNode.innerText
+  );
+  const url = window.location.href.replace(/[?#].*$/, "");
+  const text = repl.script(blocks, `Examples of ${document.title}\n${url}`);
+  // Pages are directories, except for the home page at the root of the docs
+  const page = window.location.pathname.replace(/(index\.html)?$/, "").split("/");
+  const name = documenterBaseURL === "." ? "index" : page[page.length - 2];
+
+  download(new Blob([text], { type: "text/plain" }), `${name}.jl`);
+}
+
+/**
+ * The menu of the copy buttons, which is shared by all code blocks. It lives in <body>
+ * since code blocks clip what overflows them.
+ *
+ * @returns HTMLElement
+ */
+function makeCopyMenu() {
+  const menu = document.createElement("div");
+  menu.classList.add("dropdown", "is-right", "copy-menu");
+  menu.style.position = "absolute";
+  menu.style.zIndex = 30;
+
+  const content = document.createElement("div");
+  content.classList.add("dropdown-content");
+  Object.keys(copy_mode_labels).forEach(function (mode) {
+    const item = document.createElement("a");
+    item.href = "#";
+    item.classList.add("dropdown-item");
+    item.setAttribute("role", "menuitemradio");
+    item.dataset.copyMode = mode;
+    item.textContent = copy_mode_labels[mode];
+    content.appendChild(item);
+  });
+  content.appendChild(document.createElement("hr")).classList.add("dropdown-divider");
+  const script = document.createElement("a");
+  script.href = "#";
+  script.classList.add("dropdown-item", "copy-menu-script");
+  script.setAttribute("role", "menuitem");
+  script.textContent = "Download all examples as a .jl script";
+  content.appendChild(script);
+
+  const dropdown = document.createElement("div");
+  dropdown.classList.add("dropdown-menu");
+  dropdown.setAttribute("role", "menu");
+  dropdown.appendChild(content);
+  menu.appendChild(dropdown);
+  document.body.appendChild(menu);
+
+  let block = null;
+  menu.addEventListener("click", function (event) {
+    const item = event.target.closest(".dropdown-item");
+    if (item === null) return;
+    event.preventDefault();
+    if (item.dataset.copyMode) {
+      // The picked mode is also the one of the copy buttons from now on
+      preferences.set("copy_mode", item.dataset.copyMode);
+      copyCodeBlock(block, item.dataset.copyMode);
+    } else {
+      downloadExamples();
+    }
+    close();
+  });
+
+  function close() {
+    menu.classList.remove("is-active");
+    if (block !== null) block.querySelector(".copy-menu-button").setAttribute("aria-expanded", "false");
+    block = null;
+  }
+  document.addEventListener("click", function (event) {
+    if (block !== null && !menu.contains(event.target) && !event.target.closest(".copy-menu-button")) {
+      close();
+    }
+  });
+  document.addEventListener("keydown", function (event) {
+    if (event.key === "Escape" && block !== null) close();
+  });
+
+  /**
+   * Open the menu under the menu button of a code block, or close it if it is open there
+   *
+   * @param {HTMLElement} el the <pre>
+   */
+  menu.toggle = function (el) {
+    if (block === el) return close();
+    close();
+    block = el;
+    const button = el.querySelector(".copy-menu-button");
+    const rect = button.getBoundingClientRect();
+    menu.style.left = `${rect.right + window.scrollX}px`;
+    menu.style.top = `${rect.bottom + window.scrollY}px`;
+    // Only transcripts can be copied without prompts and output
+    const transcript = repl.parse(el.innerText) !== null;
+    const mode = preferences.get("copy_mode");
+    menu.querySelectorAll("[data-copy-mode]").forEach(function (item) {
+      item.classList.toggle("is-hidden", !transcript);
+      item.classList.toggle("is-active", item.dataset.copyMode === mode);
+      item.setAttribute("aria-checked", String(item.dataset.copyMode === mode));
+    });
+    menu.querySelector(".dropdown-divider").classList.toggle("is-hidden", !transcript);
+    button.setAttribute("aria-expanded", "true");
+    menu.classList.add("is-active");
+  };
+  return menu;
+}
+
+// The menu buttons, next to the copy buttons
+function addCopyMenuButtons() {
+  let menu = null;
+  for (const button of document.querySelectorAll("pre > .copy-button:not(.copy-menu-button)")) {
+    const el = button.parentNode;
+    const menu_button = document.createElement("button");
+    menu_button.classList.add("copy-button", "copy-menu-button", "fa-solid", "fa-caret-down");
+    menu_button.style.right = "2.5em";
+    menu_button.style.width = "1.5em";
+    menu_button.setAttribute("aria-label", "More ways to copy this code block");
+    menu_button.setAttribute("aria-haspopup", "menu");
+    menu_button.setAttribute("aria-expanded", "false");
+    menu_button.setAttribute("title", "More ways to copy");
+    el.appendChild(menu_button);
+
+    menu_button.addEventListener("click", function () {
+      if (menu === null) menu = makeCopyMenu();
+      menu.toggle(el);
+    });
+  }
+}
+
+function whenReady(callback) {
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", callback);
+  } else {
+    callback();
+  }
 }
 
+whenReady(addCopyButtonCallbacks);
+require(["repl"], function (module) {
+  repl = module;
+  whenReady(addCopyMenuButtons);
+});
+
 })
 ////////////////////////////////////////////////////////////////////////////////
 require(['jquery', 'headroom', 'headroom-jquery'], function($, Headroom) {
@@ -224,7 +1329,244 @@ $(document).ready(function () {
 
 })
 ////////////////////////////////////////////////////////////////////////////////
-require(['jquery', 'minisearch'], function($, minisearch) {
+// The search query and the selected filters are kept in the URL of the page
+// (e.g. `?q=FastLPA&filters=type,function&pages=Quick+Start+Guide&versions=v0.1`), so that
+// searches can be shared and Back/Forward move between them. Used by both the search and
+// the search modal blocks below.
+define("documenter-search-url", [], function () {
+  // The query string as of the last time we wrote or looked at it
+  let seen = window.location.search;
+
+  return {
+    /**
+     * Read the search state from the current URL
+     *
+     * @returns {{query: string, filters: string[], pages: string[], versions: string[]}}
+     */
+    read: function () {
+      let params = new URLSearchParams(window.location.search);
+      let list = (name) => (params.get(name) || "").split(",").filter((x) => x);
+      return {
+        query: params.get("q") || "",
+        filters: list("filters"),
+        pages: list("pages"),
+        versions: list("versions"),
+      };
+    },
+    /**
+     * Write the search state to the URL, as a new history entry if `push` is set
+     *
+     * @param {{query: string, filters: string[], pages: string[], versions: string[]}} state
+     * @param {boolean} push
+     */
+    write: function (state, push) {
+      let params = new URLSearchParams(window.location.search);
+      params.delete("q");
+      params.delete("filters");
+      params.delete("pages");
+      params.delete("versions");
+      if (state.query) {
+        params.set("q", state.query);
+        if (state.filters.length) params.set("filters", state.filters.join(","));
+        if (state.pages.length) params.set("pages", state.pages.join(","));
+        if (state.versions.length) params.set("versions", state.versions.join(","));
+      }
+
+      // URLSearchParams would encode the commas between the filters as %2C
+      let search = params.toString().replace(/%2C/g, ",");
+      let url =
+        window.location.pathname + (search ? "?" + search : "") + window.location.hash;
+      if (url === window.location.pathname + window.location.search + window.location.hash) {
+        return;
+      }
+
+      if (push) {
+        window.history.pushState(null, "", url);
+      } else {
+        window.history.replaceState(null, "", url);
+      }
+      seen = window.location.search;
+    },
+    /**
+     * Whether the query string changed since the last call or write. Following a link to
+     * an anchor on the same page also fires popstate, which must not touch the search.
+     *
+     * @returns {boolean}
+     */
+    changed: function () {
+      let changed = window.location.search !== seen;
+      seen = window.location.search;
+      return changed;
+    },
+  };
+});
+////////////////////////////////////////////////////////////////////////////////
+// The most recent searches, kept in localStorage so that the search modal can offer them
+// again. A search is recorded when one of its results is opened. The history can be
+// cleared from the settings dialog.
+define("documenter-search-history", [], function () {
+  const key = "documenter-search-history";
+  const length = 8;
+
+  /**
+   * @returns string[] the recent searches, most recent first
+   */
+  function read() {
+    if (typeof window.localStorage === "undefined") return [];
+    try {
+      let history = JSON.parse(window.localStorage.getItem(key));
+      return Array.isArray(history) ? history.filter((x) => typeof x === "string") : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  return {
+    read: read,
+    /**
+     * Record a search, moving it to the front if it was made before
+     *
+     * @param {string} query
+     */
+    add: function (query) {
+      query = query.trim();
+      if (!query || typeof window.localStorage === "undefined") return;
+      let history = [query, ...read().filter((x) => x !== query)].slice(0, length);
+      try {
+        window.localStorage.setItem(key, JSON.stringify(history));
+      } catch (err) {
+        // Storage is full or disabled (e.g. Safari's private browsing), so the search
+        // is simply not remembered
+      }
+    },
+    clear: function () {
+      if (typeof window.localStorage === "undefined") return;
+      window.localStorage.removeItem(key);
+    },
+  };
+});
+////////////////////////////////////////////////////////////////////////////////
+// Facets narrow the search results down by category (`type`, `section`, ...), by the
+// page they are on and, when searching all versions of the docs, by version. The values
+// selected within a facet are alternatives, while the facets are combined, e.g. "types or
+// functions on the Quick Start Guide". The selection is kept in localStorage, so that it
+// survives closing the search modal and moving to another page.
+define("documenter-search-facets", [], function () {
+  const key = "documenter-search-facets";
+  const facets = {
+    category: (entry) => entry.category,
+    page: (entry) => entry.page,
+    version: (entry) => entry.version,
+  };
+
+  /**
+   * @returns {{category: string[], page: string[], version: string[]}} a selection
+   *   without any values
+   */
+  function none() {
+    return { category: [], page: [], version: [] };
+  }
+
+  /**
+   * Whether an entry of the index passes the selection, leaving out the facet `except`
+   *
+   * @param {object} entry
+   * @param {{category: string[], page: string[], version: string[]}} selection
+   * @param {string} except
+   * @returns boolean
+   */
+  function matches(entry, selection, except) {
+    return Object.keys(facets).every(
+      (facet) =>
+        facet === except ||
+        selection[facet].length === 0 ||
+        selection[facet].includes(facets[facet](entry))
+    );
+  }
+
+  return {
+    none: none,
+    /**
+     * The values of the facets: the categories in the order of the index, the pages in
+     * the order of the navigation and the versions as given
+     *
+     * @param {object[]} docs
+     * @param {string[]} versions
+     * @returns {{category: string[], page: string[], version: string[]}}
+     */
+    values: function (docs, versions) {
+      let pages = new Map();
+      docs.forEach((x) => pages.has(x.page) || pages.set(x.page, x.location.split("#")[0]));
+      return {
+        category: [...new Set(docs.map((x) => x.category))],
+        page: [...pages.keys()].sort((a, b) => pages.get(a).localeCompare(pages.get(b))),
+        version: versions,
+      };
+    },
+    /**
+     * @param {object[]} results
+     * @param {{category: string[], page: string[], version: string[]}} selection
+     * @returns object[] the results that pass the selection
+     */
+    filter: function (results, selection) {
+      return results.filter((x) => matches(x, selection));
+    },
+    /**
+     * Count the results for each value of each facet. The counts of a facet take the
+     * selection in the other facets into account, but not its own, so that they tell how
+     * many results selecting another value would add.
+     *
+     * @param {object[]} results
+     * @param {{category: string[], page: string[], version: string[]}} selection
+     * @returns {{category: Map<string, number>, page: Map<string, number>, version: Map<string, number>}}
+     */
+    count: function (results, selection) {
+      let counts = {};
+      Object.keys(facets).forEach((facet) => {
+        counts[facet] = new Map();
+        results
+          .filter((x) => matches(x, selection, facet))
+          .forEach((x) => {
+            let value = facets[facet](x);
+            counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+          });
+      });
+      return counts;
+    },
+    /**
+     * @returns {{category: string[], page: string[], version: string[]}} the selection
+     *   saved last
+     */
+    load: function () {
+      if (typeof window.localStorage === "undefined") return none();
+      try {
+        let saved = JSON.parse(window.localStorage.getItem(key)) || {};
+        let selection = none();
+        Object.keys(facets).forEach((facet) => {
+          if (Array.isArray(saved[facet])) {
+            selection[facet] = saved[facet].filter((x) => typeof x === "string");
+          }
+        });
+        return selection;
+      } catch (err) {
+        return none();
+      }
+    },
+    /**
+     * @param {{category: string[], page: string[], version: string[]}} selection
+     */
+    save: function (selection) {
+      if (typeof window.localStorage === "undefined") return;
+      try {
+        window.localStorage.setItem(key, JSON.stringify(selection));
+      } catch (err) {
+        // Storage is full or disabled, so the selection only lasts for this page
+      }
+    },
+  };
+});
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery', 'documenter-search-url', 'documenter-search-history', 'documenter-search-facets', 'search-versions', 'search-engine', 'html'], function($, search_url, search_history, search_facets, search_versions, search_engine, { html }) {
 
 // In general, most search related things will have "search" as a prefix.
 // To get an in-depth about the thought process you can refer: https://hetarth02.hashnode.dev/series/gsoc
@@ -232,176 +1574,167 @@ require(['jquery', 'minisearch'], function($, minisearch) {
 let results = [];
 let timer = undefined;
 
-let data = documenterSearchIndex["docs"].map((x, key) => {
-  x["id"] = key; // minisearch requires a unique for each object
-  return x;
-});
-
-// list below is the lunr 2.1.3 list minus the intersect with names(Base)
-// (all, any, get, in, is, only, which) and (do, else, for, let, where, while, with)
-// ideally we'd just filter the original list but it's not available as a variable
-const stopWords = new Set([
-  "a",
-  "able",
-  "about",
-  "across",
-  "after",
-  "almost",
-  "also",
-  "am",
-  "among",
-  "an",
-  "and",
-  "are",
-  "as",
-  "at",
-  "be",
-  "because",
-  "been",
-  "but",
-  "by",
-  "can",
-  "cannot",
-  "could",
-  "dear",
-  "did",
-  "does",
-  "either",
-  "ever",
-  "every",
-  "from",
-  "got",
-  "had",
-  "has",
-  "have",
-  "he",
-  "her",
-  "hers",
-  "him",
-  "his",
-  "how",
-  "however",
-  "i",
-  "if",
-  "into",
-  "it",
-  "its",
-  "just",
-  "least",
-  "like",
-  "likely",
-  "may",
-  "me",
-  "might",
-  "most",
-  "must",
-  "my",
-  "neither",
-  "no",
-  "nor",
-  "not",
-  "of",
-  "off",
-  "often",
-  "on",
-  "or",
-  "other",
-  "our",
-  "own",
-  "rather",
-  "said",
-  "say",
-  "says",
-  "she",
-  "should",
-  "since",
-  "so",
-  "some",
-  "than",
-  "that",
-  "the",
-  "their",
-  "them",
-  "then",
-  "there",
-  "these",
-  "they",
-  "this",
-  "tis",
-  "to",
-  "too",
-  "twas",
-  "us",
-  "wants",
-  "was",
-  "we",
-  "were",
-  "what",
-  "when",
-  "who",
-  "whom",
-  "why",
-  "will",
-  "would",
-  "yet",
-  "you",
-  "your",
+// The search engine (see search-engine.js) is only started once it is needed, i.e. when
+// the search modal is opened for the first time.
+let engine = null;
+// Incremented for every search, so that results arriving out of order are dropped
+let search_generation = 0;
+// Likewise for the suggestions
+let suggestion_generation = 0;
+
+// Results of the version being viewed are tagged with this
+let current_version = search_versions.current() || "current";
+let facet_values = search_facets.values(documenterSearchIndex["docs"], [
+  current_version,
+  ...search_versions.others(),
+]);
+let this_page = current_page();
+// The docstring titles of each version, for telling when an API was added or removed
+let version_titles = new Map([
+  [current_version, new Set(search_engine.docstring_titles(documenterSearchIndex["docs"]))],
 ]);
+// The other versions whose index the engine has loaded, and the promise of loading them
+let loaded_versions = [];
+let versions_loading = null;
+// The selected facets, see the "documenter-search-facets" module
+let selection = search_facets.load();
+// How results are ranked, see search-engine.js
+let ranking =
+  typeof DOCUMENTER_SEARCH_RANKING === "object" && DOCUMENTER_SEARCH_RANKING !== null
+    ? DOCUMENTER_SEARCH_RANKING
+    : {};
+// With `?search-debug` in the URL, results show what their score is made of
+let debug = new URLSearchParams(window.location.search).has("search-debug");
+// The names of everything with a docstring, which the suggestions favor
+let identifiers = [
+  ...new Set(
+    documenterSearchIndex["docs"]
+      .filter((x) => !["page", "section"].includes(x.category))
+      .map((x) => x.title.split(".").pop())
+  ),
+];
+const navigation_keys = ["ArrowDown", "ArrowUp", "Enter", "Control", "Meta", "Tab", "Escape"];
+// Made once and moved into every new set of results, so that it keeps its state
+var modal_filters = $(String(make_modal_body_filters(facet_values)));
+
+$(document).on("keyup", ".documenter-search-input", function (event) {
+  // Keys that move through or open the results (or suggestions) must not re-run the
+  // search, since that would reset the selection.
+  if (navigation_keys.includes(event.key)) return;
+
+  // Adding a debounce to prevent disruptions from super-speed typing!
+  debounce(() => {
+    update_search();
+    sync_search_url(false);
+  }, 300);
+});
 
-let index = new minisearch({
-  fields: ["title", "text"], // fields to index for full-text search
-  storeFields: ["location", "title", "text", "category", "page"], // fields to return with search results
-  processTerm: (term) => {
-    let word = stopWords.has(term) ? null : term;
-    if (word) {
-      // custom trimmer that doesn't strip @ and !, which are used in julia macro and function names
-      word = word
-        .replace(/^[^a-zA-Z0-9@!]+/, "")
-        .replace(/[^a-zA-Z0-9@!]+$/, "");
+// Up/Down move the selection through the results, Enter opens the selected (or first)
+// result and Ctrl/Cmd + Enter opens it in a new tab.
+$(document).on("keydown", ".documenter-search-input", function (event) {
+  let options = selectable_results();
+  if (!options.length || !navigation_keys.includes(event.key)) return;
+
+  let current = options.index(options.filter('[aria-selected="true"]'));
+
+  if (event.key === "ArrowDown") {
+    event.preventDefault();
+    select_result((current + 1) % options.length);
+  } else if (event.key === "ArrowUp") {
+    event.preventDefault();
+    select_result(current <= 0 ? options.length - 1 : current - 1);
+  } else if (event.key === "Enter") {
+    event.preventDefault();
+    let option = options.get(Math.max(current, 0));
+    if (event.ctrlKey || event.metaKey) {
+      search_history.add($(".documenter-search-input").val());
+      window.open(option.href, "_blank", "noopener");
+    } else {
+      option.click();
     }
+  }
+});
 
-    return word ?? null;
-  },
-  // add . as a separator, because otherwise "title": "Documenter.Anchors.add!", would not find anything if searching for "add!", only for the entire qualification
-  tokenize: (string) => string.split(/[\s\-\.]+/),
-  // options which will be applied during the search
-  searchOptions: {
-    boost: { title: 100 },
-    fuzzy: 2,
-    processTerm: (term) => {
-      let word = stopWords.has(term) ? null : term;
-      if (word) {
-        word = word
-          .replace(/^[^a-zA-Z0-9@!]+/, "")
-          .replace(/[^a-zA-Z0-9@!]+$/, "");
-      }
+$(document).on("focus", ".documenter-search-input", function () {
+  // Failures are handled when searching
+  get_engine().catch(() => {});
+  // Offer the recent searches when the modal is opened empty
+  if (!$(this).val().trim()) update_suggestions();
+});
 
-      return word ?? null;
-    },
-    tokenize: (string) => string.split(/[\s\-\.]+/),
-  },
+$(document).on("input", ".documenter-search-input", function () {
+  update_suggestions();
 });
 
-index.addAll(data);
+$(document).on("blur", ".documenter-search-input", function () {
+  hide_suggestions();
+});
 
-let filters = [...new Set(data.map((x) => x.category))];
-var modal_filters = make_modal_body_filters(filters);
-var filter_results = [];
+// While the suggestions are shown, Up/Down move through them, Enter or Tab take the
+// selected one and Escape hides them. This listens in the capture phase, so that these
+// keys do not also move through the results or close the modal.
+document.addEventListener(
+  "keydown",
+  function (event) {
+    if (!$(event.target).is(".documenter-search-input") || !suggestions_shown()) return;
+
+    let options = $("#documenter-search-suggestions .search-suggestion");
+    let current = options.index(options.filter(".is-active"));
+
+    if (event.key === "ArrowDown") {
+      select_suggestion((current + 1) % options.length);
+    } else if (event.key === "ArrowUp") {
+      select_suggestion(current <= 0 ? options.length - 1 : current - 1);
+    } else if ((event.key === "Enter" || event.key === "Tab") && current !== -1) {
+      take_suggestion(options.eq(current).text());
+    } else if (event.key === "Escape") {
+      hide_suggestions();
+    } else {
+      return;
+    }
 
-$(document).on("keyup", ".documenter-search-input", function (event) {
-  // Adding a debounce to prevent disruptions from super-speed typing!
-  debounce(() => update_search(filter_results), 300);
+    event.preventDefault();
+    event.stopPropagation();
+  },
+  true
+);
+
+$(document).on("mousedown", ".search-suggestion", function (event) {
+  // Keep the focus in the search input
+  event.preventDefault();
+});
+
+$(document).on("click", ".search-suggestion", function () {
+  take_suggestion($(this).text());
+});
+
+// Restore a search from the URL on page load and when moving through the history. This
+// runs on document ready so that the search modal (made in a separate block) exists.
+$(document).ready(restore_search_from_url);
+window.addEventListener("popstate", function () {
+  if (search_url.changed()) restore_search_from_url();
 });
 
 $(document).on("click", ".search-filter", function () {
-  if ($(this).hasClass("search-filter-selected")) {
-    $(this).removeClass("search-filter-selected");
+  if ($(this).hasClass("search-filter-all-versions")) {
+    let enabled = !search_versions.enabled();
+    search_versions.enable(enabled);
+    if (!enabled) selection.version = [];
+  } else if ($(this).hasClass("search-filter-this-page")) {
+    let only_this_page = selection.page.length === 1 && selection.page[0] === this_page;
+    selection.page = only_this_page ? [] : [this_page];
   } else {
-    $(this).addClass("search-filter-selected");
+    let facet = $(this).attr("data-facet");
+    let value = $(this).attr("data-value");
+    let values = selection[facet];
+    selection[facet] = values.includes(value)
+      ? values.filter((x) => x !== value)
+      : [...values, value];
   }
+  update_facets();
 
   // Adding a debounce to prevent disruptions from crazy clicking!
-  debounce(() => get_filters(), 300);
+  debounce(() => apply_filters(), 300);
 });
 
 /**
@@ -416,129 +1749,557 @@ function debounce(callback, timeout = 300) {
 }
 
 /**
- * Make/Update the search component
+ * Start the search engine, unless that already happened. It runs in a Web Worker
+ * (search-worker.js) that loads the index serialized by build_search_index.js. Where
+ * workers cannot be used, e.g. for pages opened from disk, the index is built on the main
+ * thread instead.
  *
- * @param {string[]} selected_filters
+ * @returns Promise<{search: function, suggest: function, load_version: function}>
+ *   search(request) and suggest(request) return promises of the results and the
+ *   suggestions, load_version(version, url) one of the docstring titles of that version
+ */
+function get_engine() {
+  if (engine === null) {
+    engine = start_worker().catch((err) => {
+      console.warn("Running the search on the main thread:", err);
+      return start_main_thread();
+    });
+  }
+
+  return engine;
+}
+
+/**
+ * @returns Promise<{search: function, suggest: function, load_version: function}>
+ */
+function start_worker() {
+  return new Promise((resolve, reject) => {
+    let worker = new Worker(require.toUrl("search-worker.js"));
+    let pending = new Map();
+    let next_id = 0;
+
+    let post = (message) =>
+      new Promise((resolve, reject) => {
+        message.id = next_id++;
+        pending.set(message.id, { resolve, reject });
+        worker.postMessage(message);
+      });
+
+    worker.addEventListener("message", (event) => {
+      let reply = event.data;
+      if (!pending.has(reply.id)) return;
+      let { resolve, reject } = pending.get(reply.id);
+      pending.delete(reply.id);
+      reply.error === undefined ? resolve(reply) : reject(new Error(reply.error));
+    });
+    // Fires e.g. if the worker script itself cannot be loaded
+    worker.addEventListener("error", (event) => {
+      event.preventDefault();
+      pending.forEach(({ reject }) => reject(new Error(event.message)));
+      pending.clear();
+      reject(new Error(event.message));
+    });
+
+    let absolute = (url) => new URL(url, window.location.href).href;
+    post({
+      type: "load",
+      index_url: absolute(documenterBaseURL + "/search_index.minisearch.json"),
+      docs_url: absolute(documenterBaseURL + "/search_index.js"),
+      count: documenterSearchIndex["docs"].length,
+      ranking: ranking,
+    }).then(() => {
+      resolve({
+        search: (request) =>
+          post({ type: "search", request: request }).then((reply) => reply.results),
+        suggest: (request) =>
+          post({ type: "suggest", request: request }).then((reply) => reply.suggestions),
+        load_version: (version, url) =>
+          post({
+            type: "load_version",
+            version: version,
+            docs_url: absolute(url),
+            ranking: ranking,
+          }).then((reply) => reply.titles),
+      });
+    }, reject);
+  });
+}
+
+/**
+ * @returns Promise<{search: function, suggest: function, load_version: function}>
+ */
+function start_main_thread() {
+  return new Promise((resolve, reject) => {
+    require(["minisearch", "search-engine"], function (minisearch, search_engine) {
+      let profile = search_engine.ranking_profile(ranking);
+      let index = search_engine.create(minisearch, documenterSearchIndex["docs"], profile);
+      let versions = new Map();
+      resolve({
+        search: (request) => {
+          let indexes = [{ version: null, index: index }];
+          (request.versions || []).forEach((version) => {
+            if (versions.has(version)) indexes.push({ version: version, index: versions.get(version) });
+          });
+          return Promise.resolve(search_engine.search_versions(indexes, request));
+        },
+        suggest: (request) => Promise.resolve(search_engine.suggest(index, request)),
+        load_version: async (version, url) => {
+          let response = await fetch(url);
+          if (!response.ok) throw new Error(`Could not load ${url}`);
+          let docs = search_engine.parse_search_index(await response.text());
+          versions.set(version, search_engine.create(minisearch, docs, profile));
+          return search_engine.docstring_titles(docs);
+        },
+      });
+    }, function (err) {
+      // Let the fallback in the resilience layer at the top of this file take over
+      requirejs.onError(err);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Have the engine load the indexes of the other versions, unless that already happened.
+ * Versions that cannot be loaded are left out of the search.
+ *
+ * @returns Promise
+ */
+function load_versions() {
+  if (versions_loading === null) {
+    let others = search_versions.others();
+    $(".search-versions-status").text(`Loading ${others.length} version(s)...`);
+
+    versions_loading = get_engine().then((engine) =>
+      Promise.all(
+        others.map((version) =>
+          engine
+            .load_version(version, search_versions.url(version) + "search_index.js")
+            .then((titles) => {
+              version_titles.set(version, new Set(titles));
+              loaded_versions.push(version);
+            })
+            .catch((err) => console.warn(`Could not load the search index of ${version}:`, err))
+        )
+      )
+    );
+    versions_loading.then(() => {
+      let failed = others.filter((x) => !loaded_versions.includes(x));
+      $(".search-versions-status").text(failed.length ? `Not available: ${failed.join(", ")}` : "");
+    });
+  }
+
+  return versions_loading;
+}
+
+/**
+ * Make/Update the search component
  */
-function update_search(selected_filters = []) {
+async function update_search() {
   let initial_search_body = `
       <div class="has-text-centered my-5 py-5">Type something to get started!</div>
     `;
 
   let querystring = $(".documenter-search-input").val();
+  let generation = ++search_generation;
 
   if (querystring.trim()) {
-    results = index.search(querystring, {
-      filter: (result) => {
-        // Filtering results
-        if (selected_filters.length === 0) {
-          return result.score >= 1;
-        } else {
-          return (
-            result.score >= 1 && selected_filters.includes(result.category)
-          );
-        }
-      },
-    });
+    // The facets are applied here rather than by the engine, since their counts need all
+    // the results
+    try {
+      if (search_versions.enabled()) await load_versions();
+      let request = {
+        query: querystring,
+        categories: [],
+        ranking: ranking,
+        debug: debug,
+        versions: search_versions.enabled() ? loaded_versions : [],
+      };
+      results = await (await get_engine()).search(request);
+    } catch (err) {
+      // Reported by the resilience layer, which also swaps in the basic search
+      console.error(err);
+      return;
+    }
 
-    let search_result_container = ``;
-    let search_divider = `<div class="search-divider w-100"></div>`;
+    // A newer search was started in the meantime
+    if (generation !== search_generation) return;
 
-    if (results.length) {
-      let links = [];
-      let count = 0;
-      let search_results = "";
+    let search_result_container = html``;
+    let search_divider = html`<div class="search-divider w-100"></div>`;
+    let search_filters = html`<div class="search-filters-placeholder"></div>`;
 
-      results.forEach(function (result) {
-        if (result.location) {
-          // Checking for duplication of results for the same page
-          if (!links.includes(result.location)) {
-            search_results += make_search_result(result, querystring);
-            count++;
-          }
+    results = results.filter((result) => result.location);
+    results.forEach((result) => {
+      result.version = result.version || current_version;
+    });
+    let hits = search_facets.filter(results, selection);
+    update_facets(search_facets.count(results, selection));
 
-          links.push(result.location);
-        }
+    if (hits.length) {
+      let groups = group_by_page(hits);
+      let count = 0;
+      let search_results = groups.map((group, i) => {
+        let group_html = make_search_result_group(group, i, count);
+        count += group.results.length;
+        return group_html;
       });
 
-      let result_count = `<div class="is-size-6">${count} result(s)</div>`;
+      let result_count = html`<div class="is-size-6">${count} result(s) on ${groups.length} page(s)</div>`;
 
-      search_result_container = `
+      search_result_container = html`
             <div class="is-flex is-flex-direction-column gap-2 is-align-items-flex-start">
-                ${modal_filters}
+                ${search_filters}
                 ${search_divider}
                 ${result_count}
-                <div class="is-clipped w-100 is-flex is-flex-direction-column gap-2 is-align-items-flex-start has-text-justified mt-1">
+                <div id="documenter-search-results" role="listbox" aria-label="Search results" class="is-clipped w-100 is-flex is-flex-direction-column gap-2 is-align-items-flex-start has-text-justified mt-1">
                   ${search_results}
                 </div>
             </div>
         `;
+
+      announce(`${count} result(s)`, true);
     } else {
-      search_result_container = `
+      let hidden = results.length
+        ? html`<p class="is-size-7">${results.length} result(s) are hidden by the filters</p>`
+        : "";
+
+      search_result_container = html`
            <div class="is-flex is-flex-direction-column gap-2 is-align-items-flex-start">
-               ${modal_filters}
+               ${search_filters}
                ${search_divider}
                <div class="is-size-6">0 result(s)</div>
             </div>
-            <div class="has-text-centered my-5 py-5">No result found!</div>
+            <div class="has-text-centered my-5 py-5">No result found!${hidden}</div>
        `;
+
+      announce("No result found", false);
     }
 
     if ($(".search-modal-card-body").hasClass("is-justify-content-center")) {
       $(".search-modal-card-body").removeClass("is-justify-content-center");
     }
 
-    $(".search-modal-card-body").html(search_result_container);
-  } else {
-    filter_results = [];
-    modal_filters = make_modal_body_filters(filters, filter_results);
+    modal_filters.detach();
+    $(".search-modal-card-body").html(String(search_result_container));
+    $(".search-filters-placeholder").replaceWith(modal_filters);
+  } else {
+    if (!$(".search-modal-card-body").hasClass("is-justify-content-center")) {
+      $(".search-modal-card-body").addClass("is-justify-content-center");
+    }
+
+    $(".search-modal-card-body").html(initial_search_body);
+    announce("", false);
+  }
+}
+
+/**
+ * Update the suggestions below the search input: completions of what has been typed so
+ * far, or the recent searches if nothing has been typed yet
+ */
+async function update_suggestions() {
+  let query = $(".documenter-search-input").val();
+  let generation = ++suggestion_generation;
+  let heading = "Recent searches";
+  let suggestions = search_history.read();
+
+  if (query.trim()) {
+    heading = "Suggestions";
+    try {
+      let request = { query: query, identifiers: identifiers, limit: 8 };
+      suggestions = await (await get_engine()).suggest(request);
+    } catch (err) {
+      // Reported when searching
+      suggestions = [];
+    }
+  }
+
+  if (generation !== suggestion_generation) return;
+  // Nothing to complete
+  if (suggestions.length === 1 && suggestions[0] === query.trim()) suggestions = [];
+  if (!suggestions.length || !$(".documenter-search-input").is(":focus")) {
+    hide_suggestions();
+    return;
+  }
+
+  $("#documenter-search-suggestions")
+    .attr("aria-label", heading)
+    .html(
+      String(html`
+        <div class="dropdown-content">
+          <p class="dropdown-item is-size-7 has-text-weight-bold" role="presentation">${heading}</p>
+          ${suggestions.map(
+            (suggestion, i) => html`
+              <button
+                type="button"
+                tabindex="-1"
+                class="dropdown-item search-suggestion"
+                id="search-suggestion-${i}"
+                role="option"
+                aria-selected="false"
+              >${suggestion}</button>
+            `
+          )}
+        </div>
+      `)
+    )
+    .addClass("is-block");
+  $(".documenter-search-input")
+    .attr("aria-expanded", "true")
+    .removeAttr("aria-activedescendant");
+}
+
+/**
+ * @returns boolean
+ */
+function suggestions_shown() {
+  return $("#documenter-search-suggestions").hasClass("is-block");
+}
+
+function hide_suggestions() {
+  suggestion_generation++;
+  $("#documenter-search-suggestions").removeClass("is-block").empty();
+
+  let input = $(".documenter-search-input");
+  if (/^search-suggestion-/.test(input.attr("aria-activedescendant") || "")) {
+    input.removeAttr("aria-activedescendant");
+  }
+  input.attr("aria-expanded", String($("#documenter-search-results .search-result-link").length > 0));
+}
+
+/**
+ * Highlight the suggestion at the given position, as the active option of the search input
+ *
+ * @param {number} position
+ */
+function select_suggestion(position) {
+  let options = $("#documenter-search-suggestions .search-suggestion");
+  options.removeClass("is-active").attr("aria-selected", "false");
+  let option = options.eq(position).addClass("is-active").attr("aria-selected", "true");
+  $(".documenter-search-input").attr("aria-activedescendant", option.attr("id"));
+}
+
+/**
+ * Put a suggestion in the search input and search for it right away
+ *
+ * @param {string} suggestion
+ */
+function take_suggestion(suggestion) {
+  $(".documenter-search-input").val(suggestion);
+  hide_suggestions();
+  clearTimeout(timer);
+  update_search();
+  sync_search_url(false);
+}
+
+/**
+ * Group results by the page (and version) they are on, keeping the order of the best hit
+ * of each page
+ *
+ * @param {object[]} results
+ * @returns {{page: string, results: object[]}[]}
+ */
+function group_by_page(results) {
+  let groups = new Map();
+  results.forEach((result) => {
+    // Entries of the home page have no page title
+    let page = result.page || result.location.split("/")[0] || "Home";
+    if (result.version !== current_version) page += ` (${result.version})`;
+    if (!groups.has(page)) groups.set(page, []);
+    groups.get(page).push(result);
+  });
+
+  return [...groups].map(([page, results]) => ({ page: page, results: results }));
+}
+
+/**
+ * Make the component for the results on one page: the page heading with the number of
+ * hits and the best hit, followed by the other hits in an expandable list
+ *
+ * @param {{page: string, results: object[]}} group
+ * @param {number} index position of the group, used for its id
+ * @param {number} position position of the first result of the group in the list
+ * @returns SafeHTML
+ */
+function make_search_result_group(group, index, position) {
+  let [best, ...others] = group.results;
+  let more = others.length
+    ? html`
+        <details class="w-100">
+          <summary class="is-clickable is-size-7 px-4 py-1">
+            ${others.length} more hit(s) on this page
+          </summary>
+          ${others.map((result, i) => make_search_result(result, position + 1 + i))}
+        </details>
+      `
+    : "";
+
+  return html`
+    <div class="w-100" role="group" aria-labelledby="search-result-group-${index}">
+      <div
+        id="search-result-group-${index}"
+        class="is-flex is-justify-content-space-between is-align-items-baseline px-4"
+      >
+        <span class="has-text-weight-bold">${group.page}</span>
+        <span class="is-size-7">${group.results.length} hit(s)</span>
+      </div>
+      ${make_search_result(best, position)}
+      ${more}
+    </div>
+  `;
+}
+
+/**
+ * The results the keyboard selection moves through, i.e. those not hidden in a collapsed
+ * group
+ *
+ * @returns jQuery
+ */
+function selectable_results() {
+  return $("#documenter-search-results .search-result-link").filter(
+    (i, el) => $(el).closest("details:not([open])").length === 0
+  );
+}
+
+/**
+ * Update the aria-live region with the outcome of a search, and tell assistive technology
+ * whether the result list is shown
+ *
+ * @param {string} message
+ * @param {boolean} expanded
+ */
+function announce(message, expanded) {
+  $(".search-result-announcer").text(message);
+  $(".documenter-search-input")
+    .attr("aria-expanded", expanded ? "true" : "false")
+    .removeAttr("aria-activedescendant");
+}
+
+/**
+ * Highlight the result at the given position among the selectable results, as the
+ * active option of the search input
+ *
+ * @param {number} position
+ */
+function select_result(position) {
+  let options = selectable_results();
+  $("#documenter-search-results .search-result-link").attr("aria-selected", "false");
+
+  let option = options.eq(position);
+  option.attr("aria-selected", "true");
+  $(".documenter-search-input").attr("aria-activedescendant", option.attr("id"));
+  option.get(0).scrollIntoView({ block: "nearest" });
+}
 
-    if (!$(".search-modal-card-body").hasClass("is-justify-content-center")) {
-      $(".search-modal-card-body").addClass("is-justify-content-center");
-    }
+/**
+ * Make the modal filter html, with a chip for each value of each facet. The selection and
+ * the counts are filled in by update_facets.
+ *
+ * @param {{category: string[], page: string[]}} values
+ * @returns SafeHTML
+ */
+function make_modal_body_filters(values) {
+  let chips = (facet) =>
+    values[facet].map(
+      (val) => html`<a href="javascript:;" class="search-filter" data-facet="${facet}" data-value="${val}" aria-pressed="false"><span>${val}</span> <span class="search-filter-count"></span></a>`
+    );
+  let all_versions_chip = html`<a href="javascript:;" class="search-filter search-filter-all-versions" aria-pressed="false"><span>All versions</span></a>`;
+  let versions_row = values.version.length > 1
+    ? html`
+            <div class="is-flex gap-2 is-flex-wrap-wrap is-justify-content-flex-start is-align-items-center">
+                <span class="is-size-6">Versions:</span>
+                ${all_versions_chip}
+                ${chips("version")}
+                <span class="is-size-7 search-versions-status"></span>
+            </div>
+      `
+    : "";
+  let this_page_chip =
+    this_page === null
+      ? ""
+      : html`<a href="javascript:;" class="search-filter search-filter-this-page" aria-pressed="false"><span>Only this page</span></a>`;
+
+  let filter_html = html`
+        <div class="is-flex is-flex-direction-column gap-2 search-filters">
+            <div class="is-flex gap-2 is-flex-wrap-wrap is-justify-content-flex-start is-align-items-center">
+                <span class="is-size-6">Filters:</span>
+                ${chips("category")}
+            </div>
+            <div class="is-flex gap-2 is-flex-wrap-wrap is-justify-content-flex-start is-align-items-center">
+                <span class="is-size-6">Pages:</span>
+                ${this_page_chip}
+                ${chips("page")}
+            </div>
+            ${versions_row}
+        </div>
+    `;
 
-    $(".search-modal-card-body").html(initial_search_body);
-  }
+  return filter_html;
 }
 
 /**
- * Make the modal filter html
+ * Show the selection on the filter chips and, if given, the number of results for each.
+ * Chips without results are hidden, unless they are selected, and so are the version chips
+ * unless all versions are searched.
  *
- * @param {string[]} filters
- * @param {string[]} selected_filters
- * @returns string
+ * @param {{category: Map<string, number>, page: Map<string, number>}} counts
  */
-function make_modal_body_filters(filters, selected_filters = []) {
-  let str = ``;
+function update_facets(counts) {
+  modal_filters.find(".search-filter[data-facet]").each(function () {
+    let facet = $(this).attr("data-facet");
+    let value = $(this).attr("data-value");
+    let selected = selection[facet].includes(value);
+    $(this)
+      .toggleClass("search-filter-selected", selected)
+      .attr("aria-pressed", String(selected));
 
-  filters.forEach((val) => {
-    if (selected_filters.includes(val)) {
-      str += `<a href="javascript:;" class="search-filter search-filter-selected"><span>${val}</span></a>`;
-    } else {
-      str += `<a href="javascript:;" class="search-filter"><span>${val}</span></a>`;
+    if (counts !== undefined) {
+      let count = counts[facet].get(value) || 0;
+      $(this).find(".search-filter-count").text(`(${count})`);
+      $(this).toggleClass("is-hidden", count === 0 && !selected);
     }
+    if (facet === "version" && !search_versions.enabled()) $(this).addClass("is-hidden");
   });
 
-  let filter_html = `
-        <div class="is-flex gap-2 is-flex-wrap-wrap is-justify-content-flex-start is-align-items-center search-filters">
-            <span class="is-size-6">Filters:</span>
-            ${str}
-        </div>
-    `;
+  modal_filters
+    .find(".search-filter-all-versions")
+    .toggleClass("search-filter-selected", search_versions.enabled())
+    .attr("aria-pressed", String(search_versions.enabled()));
 
-  return filter_html;
+  let only_this_page = selection.page.length === 1 && selection.page[0] === this_page;
+  modal_filters
+    .find(".search-filter-this-page")
+    .toggleClass("search-filter-selected", only_this_page)
+    .attr("aria-pressed", String(only_this_page));
+}
+
+/**
+ * The title of the page being viewed, as in the page facet, or null if it is not in the
+ * index
+ *
+ * @returns string|null
+ */
+function current_page() {
+  let base = new URL(documenterBaseURL + "/", window.location.href).pathname;
+  let path = window.location.pathname.replace(/index\.html$/, "");
+  if (!path.startsWith(base)) return null;
+
+  let entry = documenterSearchIndex["docs"].find(
+    (x) => x.location.split("#")[0] === path.slice(base.length)
+  );
+  return entry === undefined ? null : entry.page;
 }
 
 /**
- * Make the result component given a minisearch result data object and the value of the search input as queryString.
+ * Make the result component given a minisearch result data object.
  * To view the result object structure, refer: https://lucaong.github.io/minisearch/modules/_minisearch_.html#searchresult
  *
  * @param {object} result
- * @param {string} querystring
- * @returns string
+ * @param {number} position position of the result in the list, used for its id
+ * @returns SafeHTML
  */
-function make_search_result(result, querystring) {
-  let search_divider = `<div class="search-divider w-100"></div>`;
+function make_search_result(result, position) {
+  let search_divider = html`<div class="search-divider w-100" role="none"></div>`;
   let display_link =
     result.location.slice(Math.max(0), Math.min(50, result.location.length)) +
     (result.location.length > 30 ? "..." : ""); // To cut-off the link because it messes with the overflow of the whole div
@@ -547,46 +2308,42 @@ function make_search_result(result, querystring) {
     display_link += ` (${result.page})`;
   }
 
-  let textindex = new RegExp(`\\b${querystring}\\b`, "i").exec(result.text);
-  let text =
-    textindex !== null
-      ? result.text.slice(
-          Math.max(textindex.index - 100, 0),
-          Math.min(
-            textindex.index + querystring.length + 100,
-            result.text.length
-          )
-        )
-      : ""; // cut-off text before and after from the match
+  let display_result = make_snippets(result).map((snippet) => html`<p>${snippet}</p>`);
+
+  // The method (or type declaration) that matched a query like `compute(::Louvain`
+  let display_signature = result.signature
+    ? html`<p><code>${result.signature}</code></p>`
+    : "";
 
-  let display_result = text.length
-    ? "..." +
-      text.replace(
-        new RegExp(`\\b${querystring}\\b`, "i"), // For first occurrence
-        '<span class="search-result-highlight p-1">$&</span>'
-      ) +
-      "..."
-    : ""; // highlights the match
+  let display_debug = result.debug ? make_score_breakdown(result) : "";
+
+  let display_version = "";
+  let display_lifecycle = "";
+  if (search_versions.enabled()) {
+    display_version = html`<div class="property-search-result-badge">${result.version}</div>`;
+    display_lifecycle = make_lifecycle(result);
+  }
 
   let in_code = false;
   if (!["page", "section"].includes(result.category.toLowerCase())) {
     in_code = true;
   }
 
-  // We encode the full url to escape some special characters which can lead to broken links
-  let result_div = `
-      <a href="${encodeURI(
-        documenterBaseURL + "/" + result.location
-      )}" class="search-result-link w-100 is-flex is-flex-direction-column gap-2 px-4 py-2">
+  let result_div = html`
+      <a href="${result_url(result)}" id="search-result-${position}" role="option" aria-selected="false" class="search-result-link w-100 is-flex is-flex-direction-column gap-2 px-4 py-2">
         <div class="w-100 is-flex is-flex-wrap-wrap is-justify-content-space-between is-align-items-flex-start">
           <div class="search-result-title has-text-weight-bold ${
             in_code ? "search-result-code-title" : ""
           }">${result.title}</div>
-          <div class="property-search-result-badge">${result.category}</div>
+          <div class="is-flex gap-2">
+            ${display_version}
+            <div class="property-search-result-badge">${result.category}</div>
+          </div>
         </div>
-        <p>
-          ${display_result}
-        </p>
+        ${display_signature}
+        ${display_lifecycle}
+        ${display_result}
+        ${display_debug}
         <div
           class="has-text-left"
           style="font-size: smaller;"
@@ -602,23 +2359,369 @@ function make_search_result(result, querystring) {
 }
 
 /**
- * Get selected filters, remake the filter html and lastly update the search modal
+ * The link to a result, which asks the page to highlight the matched words and to scroll
+ * to the paragraph of the result (see the "highlight" block below), e.g.
+ * `3_graph_communities/?highlight=louvain&paragraph=blondel-v-d-guillaume-j-l-lambiotte-r#GraphCommunities.Louvain`
+ *
+ * @param {object} result
+ * @returns string
+ */
+function result_url(result) {
+  let [path, anchor] = result.location.split("#");
+  let highlight = new URLSearchParams({ highlight: result.terms.join(" ") });
+  if (result.paragraph) highlight.set("paragraph", result.paragraph);
+  let root =
+    result.version === current_version
+      ? documenterBaseURL + "/"
+      : search_versions.url(result.version);
+  // We encode the full url to escape some special characters which can lead to broken links
+  return (
+    encodeURI(root + path) +
+    "?" +
+    highlight.toString() +
+    (anchor === undefined ? "" : "#" + encodeURI(anchor))
+  );
+}
+
+/**
+ * Tell in which version the API of a docstring result was added or removed, as far as the
+ * loaded versions go
+ *
+ * @param {object} result
+ * @returns SafeHTML|string
+ */
+function make_lifecycle(result) {
+  if (["page", "section"].includes(result.category)) return "";
+
+  let { added, removed } = search_versions.lifecycle(result.title, version_titles);
+  let notes = [];
+  if (added !== null) notes.push(`Added in ${added}`);
+  if (removed !== null) notes.push(`Removed in ${removed}`);
+  return notes.length ? html`<p class="is-size-7 has-text-weight-bold">${notes.join(" · ")}</p>` : "";
+}
+
+/**
+ * Show what the score of a result is made of, e.g.
+ * `1902.8 = 634.3 (louvain: title, text) × 3 (identifier)`
+ *
+ * @param {object} result with `debug` set by the search engine
+ * @returns SafeHTML
+ */
+function make_score_breakdown(result) {
+  let terms = Object.entries(result.debug.match)
+    .map(([term, fields]) => `${term}: ${fields.join(", ")}`)
+    .join("; ");
+  let factors = [
+    [result.debug.category, result.category],
+    [result.debug.identifier, "identifier"],
+  ]
+    .filter(([factor]) => factor !== 1)
+    .map(([factor, name]) => ` × ${factor} (${name})`)
+    .join("");
+
+  return html`
+    <p class="is-size-7 search-result-debug">
+      <code>${result.score.toFixed(1)} = ${result.debug.score.toFixed(1)} (${terms})${factors}</code>
+    </p>
+  `;
+}
+
+const snippet_length = 200;
+const max_snippets = 3;
+
+/**
+ * Cut the text of a result down to the windows that contain the most matched terms and
+ * highlight every match. The terms come from minisearch (`result.match`), i.e. they are
+ * the (lowercased) words of the document, which also covers fuzzy and prefix matches of
+ * the query. Long docstrings get up to `max_snippets` snippets.
+ *
+ * @param {object} result
+ * @returns SafeHTML[] snippets in the order they appear in the text
+ */
+function make_snippets(result) {
+  let terms = Object.keys(result.match).filter((term) =>
+    result.match[term].includes("text")
+  );
+  if (!terms.length) return [];
+
+  let pattern = search_engine.term_pattern(terms);
+
+  let matches = [];
+  for (let m of result.text.matchAll(pattern)) {
+    let start = m.index + m[1].length;
+    matches.push({ start: start, end: start + m[2].length, term: m[2].toLowerCase() });
+  }
+
+  let windows = [];
+  while (matches.length && windows.length < max_snippets) {
+    let best = densest_window(matches);
+    windows.push(best);
+    // Leave room around the window, so that the next one does not overlap with it
+    matches = matches.filter(
+      (x) => x.start >= best.end + snippet_length || x.end <= best.start - snippet_length
+    );
+
+    // Additional snippets only pay off for long texts
+    if (result.text.length < 2 * snippet_length) break;
+  }
+
+  return windows
+    .sort((a, b) => a.start - b.start)
+    .map((w) => {
+      let snippet = [];
+      let at = w.start;
+      w.matches.forEach((x) => {
+        snippet.push(
+          result.text.slice(at, x.start),
+          html`<span class="search-result-highlight p-1">${result.text.slice(x.start, x.end)}</span>`
+        );
+        at = x.end;
+      });
+      snippet.push(result.text.slice(at, w.end));
+
+      return html`${w.start > 0 ? "..." : ""}${snippet}${w.end < result.text.length ? "..." : ""}`;
+    });
+
+  /**
+   * Find the window of `snippet_length` characters that covers the most distinct terms
+   * (then the most matches), widened evenly around the matches it contains
+   *
+   * @param {object[]} matches sorted by position
+   * @returns {{start: number, end: number, matches: object[]}}
+   */
+  function densest_window(matches) {
+    let best = null;
+    let best_score = [-1, -1];
+
+    matches.forEach((first, i) => {
+      let covered = [];
+      for (let j = i; j < matches.length; j++) {
+        if (matches[j].end - first.start > snippet_length) break;
+        covered.push(matches[j]);
+      }
+      let score = [new Set(covered.map((x) => x.term)).size, covered.length];
+      if (
+        score[0] > best_score[0] ||
+        (score[0] === best_score[0] && score[1] > best_score[1])
+      ) {
+        best = covered;
+        best_score = score;
+      }
+    });
+
+    let span_start = best[0].start;
+    let span_end = best[best.length - 1].end;
+    let margin = Math.max(0, Math.floor((snippet_length - (span_end - span_start)) / 2));
+    let start = Math.max(0, span_start - margin);
+    let end = Math.min(result.text.length, span_end + margin);
+
+    // Do not cut words in half
+    while (start > 0 && /\S/.test(result.text[start - 1]) && span_start - start < snippet_length) {
+      start--;
+    }
+    while (end < result.text.length && /\S/.test(result.text[end]) && end - span_end < snippet_length) {
+      end++;
+    }
+
+    return { start: start, end: end, matches: best };
+  }
+}
+
+/**
+ * Remember the selected filters and lastly update the search modal
+ */
+function apply_filters() {
+  search_facets.save(selection);
+  update_search();
+  sync_search_url(true);
+}
+
+/**
+ * Write the current query and filters to the URL. Starting a new search always gets its
+ * own history entry, while refining the query as one types just replaces the current one.
+ *
+ * @param {boolean} push
+ */
+function sync_search_url(push) {
+  let state = {
+    query: $(".documenter-search-input").val().trim(),
+    filters: selection.category,
+    pages: selection.page,
+    versions: selection.version,
+  };
+  search_url.write(state, push || !search_url.read().query);
+}
+
+/**
+ * Open the search modal with the query and filters from the URL, or close it if the URL
+ * holds no search
  */
-function get_filters() {
-  let ele = $(".search-filters .search-filter-selected").get();
-  filter_results = ele.map((x) => $(x).text().toLowerCase());
-  modal_filters = make_modal_body_filters(filters, filter_results);
-  update_search(filter_results);
+function restore_search_from_url() {
+  let state = search_url.read();
+
+  if (!state.query) {
+    if ($("#search-modal").hasClass("is-active")) {
+      $(".close-search-modal").trigger("click");
+    }
+    return;
+  }
+
+  selection = {
+    category: state.filters.filter((x) => facet_values.category.includes(x)),
+    page: state.pages.filter((x) => facet_values.page.includes(x)),
+    version: state.versions.filter((x) => facet_values.version.includes(x)),
+  };
+  search_facets.save(selection);
+  // A search filtered by version is one of all versions
+  if (selection.version.length) search_versions.enable(true);
+  update_facets();
+
+  $("#search-modal").addClass("is-active");
+  $(".documenter-search-input").val(state.query).focus();
+  update_search();
 }
 
 })
 ////////////////////////////////////////////////////////////////////////////////
-require(['jquery'], function($) {
+require(['jquery', 'documenter-search-history', 'documenter-preferences', 'documenter-download', 'html'], function($, search_history, preferences, download, { html }) {
+
+var preference_labels = {
+  font_size: "Font size",
+  content_width: "Content width",
+  code_font: "Code font",
+  code_wrap: "Wrap long lines in code blocks",
+  code_line_numbers: "Show line numbers in code blocks",
+  copy_mode: "Copy REPL examples",
+  docstrings_collapsed: "Start with docstrings collapsed (on the next page)",
+  math: "Render math (on the next page)",
+  reduced_motion: "Reduce motion",
+};
+var preference_value_labels = {
+  small: "Small",
+  medium: "Medium",
+  large: "Large",
+  "x-large": "Extra large",
+  normal: "Normal",
+  wide: "Wide",
+  full: "Full width",
+  juliamono: "JuliaMono",
+  system: "System monospace",
+  input: "Input only",
+  transcript: "Full transcript",
+};
+
+/**
+ * The reader preferences section of the settings dialog
+ *
+ * @returns jQuery
+ */
+function make_preferences_section() {
+  let names = Object.keys(preferences.preferences);
+  let choices = names.filter((name) => preferences.preferences[name].values);
+  let switches = names.filter((name) => !preferences.preferences[name].values);
+
+  let section = $(String(html`
+    <div class="documenter-preferences mb-3">
+      <label class="label">Reading</label>
+      <div class="field is-grouped is-grouped-multiline">
+        ${choices.map(
+          (name) => html`
+            <div class="control">
+              <label class="is-size-7">${preference_labels[name]}</label>
+              <div class="select is-small is-fullwidth">
+                <select data-preference="${name}">
+                  ${Object.keys(preferences.preferences[name].values).map(
+                    (value) => html`<option value="${value}">${preference_value_labels[value]}</option>`
+                  )}
+                </select>
+              </div>
+            </div>
+          `
+        )}
+      </div>
+      ${switches.map(
+        (name) => html`
+          <div class="field mb-1">
+            <label class="checkbox is-size-7">
+              <input type="checkbox" data-preference="${name}" /> ${preference_labels[name]}
+            </label>
+          </div>
+        `
+      )}
+      <div class="buttons mt-2">
+        <button class="button is-small preferences-export">Export</button>
+        <label class="button is-small">
+          Import
+          <input class="is-hidden preferences-import" type="file" accept=".json,application/json" />
+        </label>
+        <button class="button is-small preferences-reset">Reset</button>
+      </div>
+      <p class="help is-danger preferences-error is-hidden"></p>
+    </div>
+  `));
+
+  function show_error(message) {
+    section.find(".preferences-error").text(message).toggleClass("is-hidden", !message);
+  }
+
+  function update(values) {
+    section.find("select[data-preference]").each(function () {
+      this.value = values[this.dataset.preference];
+    });
+    section.find("input[data-preference]").each(function () {
+      this.checked = values[this.dataset.preference];
+    });
+  }
+  update(preferences.read());
+  preferences.on_change(update);
+
+  section.on("change", "select[data-preference]", function () {
+    preferences.set(this.dataset.preference, this.value);
+  });
+  section.on("change", "input[data-preference]", function () {
+    preferences.set(this.dataset.preference, this.checked);
+  });
+  section.on("click", ".preferences-reset", function () {
+    show_error(null);
+    preferences.reset();
+  });
+  section.on("click", ".preferences-export", function () {
+    download(new Blob([preferences.export()], { type: "application/json" }), "documenter-preferences.json");
+  });
+  section.on("change", ".preferences-import", function () {
+    let input = this;
+    let file = input.files[0];
+    if (!file) return;
+    file.text().then(function (text) {
+      input.value = "";
+      try {
+        preferences.import(text);
+        show_error(null);
+      } catch (err) {
+        show_error(`${file.name} is not a preferences file`);
+      }
+    });
+  });
+  return section;
+}
 
 // Modal settings dialog
 $(document).ready(function () {
   var settings = $("#documenter-settings");
+  settings.find(".modal-card-body hr").first().before(make_preferences_section());
+  var clear_history = $(
+    '<button class="button is-small">Clear recent searches</button>'
+  ).click(function () {
+    search_history.clear();
+    clear_history.prop("disabled", true);
+  });
+  settings
+    .find(".modal-card-body hr")
+    .first()
+    .before($('<p class="mb-3"><label class="label">Search</label></p>').append(clear_history));
+
   $("#documenter-settings-button").click(function () {
+    clear_history.prop("disabled", search_history.read().length === 0);
     settings.toggleClass("is-active");
   });
   // Close the dialog if X is clicked
@@ -633,13 +2736,23 @@ $(document).ready(function () {
 
 })
 ////////////////////////////////////////////////////////////////////////////////
-require(['jquery'], function($) {
+require(['jquery', 'documenter-search-url', 'documenter-search-history'], function($, search_url, search_history) {
 
 let search_modal_header = `
   <header class="modal-card-head gap-2 is-align-items-center is-justify-content-space-between w-100 px-3">
     <div class="field mb-0 w-100">
       <p class="control has-icons-right">
-        <input class="input documenter-search-input" type="text" placeholder="Search" />
+        <input
+          class="input documenter-search-input"
+          type="text"
+          placeholder="Search"
+          role="combobox"
+          aria-label="Search the documentation"
+          aria-autocomplete="list"
+          aria-controls="documenter-search-suggestions documenter-search-results"
+          aria-expanded="false"
+        />
+        <div class="dropdown-menu w-100" id="documenter-search-suggestions" role="listbox"></div>
         <span class="icon is-small is-right has-text-primary-dark">
           <i class="fas fa-magnifying-glass"></i>
         </span>
@@ -661,10 +2774,20 @@ let search_modal_footer = `
       <kbd class="search-modal-key-hints">Ctrl</kbd> +
       <kbd class="search-modal-key-hints">/</kbd> to search
     </span>
+    <span class="ml-3">
+      <kbd class="search-modal-key-hints">↑</kbd>
+      <kbd class="search-modal-key-hints">↓</kbd> to navigate
+    </span>
+    <span class="ml-3"> <kbd class="search-modal-key-hints">tab</kbd> to complete </span>
+    <span class="ml-3"> <kbd class="search-modal-key-hints">enter</kbd> to open </span>
     <span class="ml-3"> <kbd class="search-modal-key-hints">esc</kbd> to close </span>
+    <div class="is-sr-only search-result-announcer" role="status" aria-live="polite"></div>
   </footer>
 `;
 
+// The fallback of the search may have made a bare-bones modal while jQuery was still
+// loading (see basic_search), which this one replaces
+$("#search-modal").remove();
 $(document.body).append(
   `
     <div class="modal" id="search-modal">
@@ -689,7 +2812,9 @@ document.querySelector(".close-search-modal").addEventListener("click", () => {
 });
 
 $(document).on("click", ".search-result-link", function () {
-  closeModal();
+  search_history.add($(".documenter-search-input").val());
+  // Keep the search in the URL, so that going back from the result reopens it
+  closeModal({ keep_url: true });
 });
 
 document.addEventListener("keydown", (event) => {
@@ -710,8 +2835,9 @@ function openModal() {
   document.querySelector(".documenter-search-input").focus();
 }
 
-function closeModal() {
+function closeModal({ keep_url = false } = {}) {
   let searchModal = document.querySelector("#search-modal");
+  let was_active = searchModal.classList.contains("is-active");
   let initial_search_body = `
     <div class="has-text-centered my-5 py-5">Type something to get started!</div>
   `;
@@ -723,8 +2849,17 @@ function closeModal() {
     $(".search-modal-card-body").addClass("is-justify-content-center");
   }
 
-  $(".documenter-search-input").val("");
+  $(".documenter-search-input")
+    .val("")
+    .attr("aria-expanded", "false")
+    .removeAttr("aria-activedescendant");
   $(".search-modal-card-body").html(initial_search_body);
+  $(".search-result-announcer").text("");
+
+  // Closing the search is a step in the history of its own, so that Back reopens it
+  if (was_active && !keep_url && search_url.read().query) {
+    search_url.write({ query: "", filters: [], pages: [], versions: [] }, true);
+  }
 }
 
 document
@@ -733,6 +2868,198 @@ document
     closeModal();
   });
 
+})
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery', 'search-engine', 'html'], function($, search_engine, { html }) {
+
+// Search results link to e.g.
+// `3_graph_communities/?highlight=louvain&paragraph=blondel-v-d-guillaume-j-l-lambiotte-r#GraphCommunities.Louvain`.
+// The matched words are marked on the page and the paragraph of the result, or else the
+// first match after the anchor, is scrolled into view, until the reader clears the
+// highlights. highlight.js replaces the content of the code blocks, so the matches in
+// them are marked once it is done.
+$(document).ready(function () {
+  let params = new URLSearchParams(window.location.search);
+  let terms = (params.get("highlight") || "").split(/\s+/).filter((x) => x);
+  let article = document.querySelector("#documenter-page");
+  if (!terms.length || article === null) return;
+
+  let pattern = search_engine.term_pattern(terms);
+  let target = window.location.hash
+    ? document.getElementById(decodeURIComponent(window.location.hash.slice(1)))
+    : null;
+  let paragraph = find_paragraph(article, params.get("paragraph"), target);
+  if (paragraph !== null) paragraph.scrollIntoView({ block: "start" });
+
+  let notice = $(
+    String(html`
+      <div class="notification is-info is-light documenter-highlight-notice" role="status">
+        Highlighting <span class="documenter-highlight-count"></span> match(es) of
+        <strong>${terms.join(" ")}</strong>.
+        <button class="button is-small ml-2">Clear highlights</button>
+      </div>
+    `)
+  );
+  let cleared = false;
+  notice.find("button").click(function () {
+    cleared = true;
+    clear_highlights(highlights(article));
+    notice.remove();
+
+    params.delete("highlight");
+    let search = params.toString();
+    window.history.replaceState(
+      window.history.state,
+      "",
+      window.location.pathname + (search ? "?" + search : "") + window.location.hash
+    );
+  });
+
+  let first = null;
+  let show = function () {
+    let marks = highlights(article);
+    if (!marks.length) return;
+    notice.find(".documenter-highlight-count").text(marks.length);
+    if (first === null) $(article).prepend(notice);
+
+    // A match in a code block may come before the one scrolled to so far
+    let mark = marks.find((mark) => target === null || at_or_after(mark, target)) || marks[0];
+    if (paragraph === null && mark !== first) mark.scrollIntoView({ block: "center" });
+    first = mark;
+  };
+
+  mark_terms(article, pattern, "pre, script, style, .katex");
+  show();
+
+  let mark_code = function () {
+    if (cleared) return;
+    $(article)
+      .find("pre")
+      .each((i, pre) => mark_terms(pre, pattern, "script, style"));
+    show();
+  };
+  if ($(document).data("documenter-highlighted")) {
+    mark_code();
+  } else {
+    $(document).one("documenter:highlighted", mark_code);
+  }
+});
+
+// Elements whose text does not run on into the text around them, see find_paragraph
+const text_blocks =
+  "p, li, pre, td, th, dt, dd, blockquote, h1, h2, h3, h4, h5, h6, header, div, section, ul, ol, table, tr";
+
+/**
+ * @param {Node} node
+ * @param {Element} element
+ * @returns boolean whether the node is in the element or comes after it in the page
+ */
+function at_or_after(node, element) {
+  return (
+    element.contains(node) ||
+    Boolean(element.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)
+  );
+}
+
+/**
+ * Find the element where the record of a search result starts, by the words of its
+ * paragraph slug. Docstrings may share paragraphs, so they are looked for from the anchor
+ * of the result on first.
+ *
+ * @param {Element} root
+ * @param {string|null} slug see search_engine.paragraph_slug
+ * @param {Element|null} target the element of the anchor of the result
+ * @returns Element|null
+ */
+function find_paragraph(root, slug, target) {
+  if (!slug) return null;
+
+  // textContent would run e.g. a heading and the paragraph after it together
+  let text = "";
+  let offsets = [];
+  let from = 0;
+  let last_block = null;
+  let walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    let node = walker.currentNode;
+    let block = node.parentElement.closest(text_blocks);
+    if (block !== last_block) text += " ";
+    last_block = block;
+    if (target !== null && from === 0 && at_or_after(node, target)) from = text.length;
+    offsets.push({ at: text.length, node: node });
+    text += node.nodeValue;
+  }
+
+  let at = search_engine.find_paragraph(text, slug, from);
+  if (at === -1) at = search_engine.find_paragraph(text, slug);
+  if (at === -1) return null;
+  let { node } = offsets.filter((x) => x.at <= at).pop();
+  return node.parentElement.closest(text_blocks);
+}
+
+/**
+ * Wrap the matches of a pattern in the text of an element in <mark> elements
+ *
+ * @param {Element} root
+ * @param {RegExp} pattern see search_engine.term_pattern
+ * @param {string} skip a selector of the elements whose text is left alone
+ * @returns Element[] the marks, in document order
+ */
+function mark_terms(root, pattern, skip) {
+  let walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+  });
+  let nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  let marks = [];
+  nodes.forEach((node) => {
+    let text = node.nodeValue;
+    let fragment = document.createDocumentFragment();
+    let at = 0;
+    for (let m of text.matchAll(pattern)) {
+      let start = m.index + m[1].length;
+      fragment.append(text.slice(at, start));
+      let mark = document.createElement("mark");
+      mark.className = "search-result-highlight documenter-highlight";
+      mark.textContent = m[2];
+      fragment.append(mark);
+      marks.push(mark);
+      at = start + m[2].length;
+    }
+    if (at === 0) return;
+
+    fragment.append(text.slice(at));
+    node.replaceWith(fragment);
+  });
+  return marks;
+}
+
+/**
+ * The marks of mark_terms. Splitting the lines of a code block (see split_lines) replaces
+ * the marks in it, so they are looked up rather than kept.
+ *
+ * @param {Element} root
+ * @returns Element[] in document order
+ */
+function highlights(root) {
+  return [...root.querySelectorAll("mark.documenter-highlight")];
+}
+
+/**
+ * Undo mark_terms
+ *
+ * @param {Element[]} marks
+ */
+function clear_highlights(marks) {
+  marks.forEach((mark) => {
+    let parent = mark.parentNode;
+    mark.replaceWith(mark.textContent);
+    parent.normalize();
+  });
+}
+
 })
 ////////////////////////////////////////////////////////////////////////////////
 require(['jquery'], function($) {
@@ -791,37 +3118,326 @@ $(document).ready(function () {
 ////////////////////////////////////////////////////////////////////////////////
 require(['jquery'], function($) {
 
+// Widgets that pages embed with a placeholder, e.g.
+//
+//     ```@raw html
+//     <div class="community-playground" data-algorithm="Louvain" data-graph="KarateClub"></div>
+//     ```
+//
+// The module of a widget (e.g. playground.js for the one above) turns its placeholders into
+// the widget. It is only loaded on the pages that embed the widget.
+const widgets = {
+  ".community-playground": "playground",
+  ".edgelist-viewer": "edgelist-viewer",
+  ".graph-generator": "graph-generator",
+  ".partition-calculator": "partition-calculator",
+};
+
+$(document).ready(function () {
+  Object.keys(widgets).forEach((selector) => {
+    let placeholders = $(selector);
+    if (placeholders.length === 0) return;
+    require([widgets[selector]], function (make_widget) {
+      placeholders.each(function () {
+        make_widget($(this));
+      });
+    });
+  });
+});
+
+})
+////////////////////////////////////////////////////////////////////////////////
+// Files made in the page, like an exported custom theme, are downloaded through a
+// temporary link to a blob URL.
+define("documenter-download", [], function () {
+  // Firefox and Safari may only start reading the blob after click() returns, so its URL
+  // is revoked later rather than right away (FileSaver.js waits as long)
+  const revoke_after = 40000;
+
+  /**
+   * Download a file made in the page
+   *
+   * @param {Blob} blob
+   * @param {string} name
+   */
+  return function download(blob, name) {
+    let url = URL.createObjectURL(blob);
+    let link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), revoke_after);
+  };
+});
+////////////////////////////////////////////////////////////////////////////////
+require(['jquery', 'documenter-download', 'html'], function($, download, { html }) {
+
+// The colors that the custom theme editor starts from, per base theme
+var custom_theme_defaults = {
+  "documenter-light": {
+    background: "#ffffff",
+    sidebar: "#f5f5f5",
+    text: "#222222",
+    link: "#2e63b8",
+    code_background: "#f5f5f5",
+    code_text: "#444444",
+    keyword: "#444444",
+    string: "#880000",
+    comment: "#697070",
+    number: "#880000",
+    function: "#880000",
+  },
+  "documenter-dark": {
+    background: "#1f2424",
+    sidebar: "#282f2f",
+    text: "#ffffff",
+    link: "#1abc9c",
+    code_background: "#282f2f",
+    code_text: "#f8f8f2",
+    keyword: "#dcc6e0",
+    string: "#abe338",
+    comment: "#d4d0ab",
+    number: "#f5ab35",
+    function: "#00e0e0",
+  },
+  "documenter-high-contrast": {
+    background: "#000000",
+    sidebar: "#121212",
+    text: "#ffffff",
+    link: "#7fdfff",
+    code_background: "#121212",
+    code_text: "#ffffff",
+    keyword: "#dcc6e0",
+    string: "#abe338",
+    comment: "#d4d0ab",
+    number: "#f5ab35",
+    function: "#00e0e0",
+  },
+};
+
+var custom_theme_labels = {
+  background: "Background",
+  sidebar: "Sidebar",
+  text: "Text",
+  link: "Links",
+  code_background: "Code background",
+  code_text: "Code",
+  keyword: "Keywords",
+  string: "Strings",
+  comment: "Comments",
+  number: "Numbers and types",
+  function: "Function names",
+};
+
+/**
+ * A custom theme with all the colors of a base theme
+ *
+ * @param {string} base
+ * @returns object
+ */
+function default_custom_theme(base) {
+  let colors = custom_theme_defaults[base] || custom_theme_defaults["documenter-light"];
+  return { name: "Custom", base: base, colors: Object.assign({}, colors) };
+}
+
 // Theme picker setup
 $(document).ready(function () {
   // onchange callback
   $("#documenter-themepicker").change(function themepick_callback(ev) {
     var themename = $("#documenter-themepicker option:selected").attr("value");
-    if (themename === "auto") {
-      // set_theme(window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
-      window.localStorage.removeItem("documenter-theme");
-    } else {
-      // set_theme(themename);
-      window.localStorage.setItem("documenter-theme", themename);
-    }
-    // We re-use the global function from themeswap.js to actually do the swapping.
-    set_theme_from_local_storage();
+    // The theme manager from themeswap.js does the actual swapping
+    window.DocumenterTheme.setTheme(themename);
   });
 
   // Make sure that the themepicker displays the correct theme when the theme is retrieved
-  // from localStorage
-  if (typeof window.localStorage !== "undefined") {
-    var theme = window.localStorage.getItem("documenter-theme");
-    if (theme !== null) {
-      $("#documenter-themepicker option").each(function (i, e) {
-        e.selected = e.value === theme;
-      });
+  // from localStorage, also after it was picked in another tab
+  update_themepicker();
+  window.DocumenterTheme.onThemeChange(update_themepicker);
+
+  make_custom_theme_editor();
+});
+
+function update_themepicker() {
+  if (typeof window.localStorage === "undefined") return;
+  var theme = window.localStorage.getItem("documenter-theme") || "auto";
+  $("#documenter-themepicker option").each(function (i, e) {
+    e.selected = e.value === theme;
+  });
+}
+
+// The custom theme editor, below the theme picker in the settings. Colors are previewed as
+// they are changed, and only stored (and picked as the theme) with "Use this theme".
+function make_custom_theme_editor() {
+  let themepicker = $("#documenter-themepicker");
+  if (themepicker.length === 0 || typeof window.localStorage === "undefined") return;
+
+  let bases = $("link.docs-theme-link")
+    .map((i, e) => e.getAttribute("data-theme-name"))
+    .get();
+  let draft = null;
+  let previewing = false;
+
+  let editor = $(String(html`
+    <details class="documenter-custom-theme-editor mt-3">
+      <summary class="is-size-7">Custom theme</summary>
+      <div class="field is-grouped mt-2">
+        <div class="control">
+          <input class="input is-small custom-theme-name" type="text" aria-label="Name" />
+        </div>
+        <div class="control">
+          <div class="select is-small">
+            <select class="custom-theme-base" aria-label="Based on">
+              ${bases.map((base) => html`<option value="${base}">${base}</option>`)}
+            </select>
+          </div>
+        </div>
+      </div>
+      <div class="columns is-multiline is-mobile is-gapless">
+        ${Object.keys(custom_theme_labels).map(
+          (key) => html`
+            <label class="column is-half is-size-7">
+              <input type="color" data-color="${key}" /> ${custom_theme_labels[key]}
+            </label>
+          `
+        )}
+      </div>
+      <div class="buttons mt-2">
+        <button class="button is-small is-primary custom-theme-use">Use this theme</button>
+        <button class="button is-small custom-theme-export">Export</button>
+        <label class="button is-small">
+          Import
+          <input class="is-hidden custom-theme-import" type="file" accept=".json,application/json" />
+        </label>
+        <button class="button is-small custom-theme-remove">Remove</button>
+      </div>
+      <p class="help is-danger custom-theme-error is-hidden"></p>
+    </details>
+  `));
+  themepicker.closest(".select").after(editor);
+
+  function show_error(message) {
+    editor.find(".custom-theme-error").text(message).toggleClass("is-hidden", !message);
+  }
+
+  // Show the draft in the editor
+  function update_editor() {
+    editor.find(".custom-theme-name").val(draft.name);
+    editor.find(".custom-theme-base").val(draft.base);
+    editor.find("input[data-color]").each(function () {
+      this.value = draft.colors[this.dataset.color] || "#000000";
+    });
+    editor.find(".custom-theme-remove").prop("disabled", window.DocumenterTheme.getCustomTheme() === null);
+  }
+
+  // The theme picker only offers the custom theme once there is one
+  function update_custom_option() {
+    let custom = window.DocumenterTheme.getCustomTheme();
+    let option = themepicker.find('option[value="documenter-custom"]');
+    if (custom === null) {
+      option.remove();
+    } else {
+      if (option.length === 0) {
+        option = $('<option value="documenter-custom"></option>');
+        themepicker.find('option[value="auto"]').before(option);
+      }
+      option.text(custom.name);
     }
+    update_themepicker();
   }
-});
+
+  function start_editing() {
+    let current = window.DocumenterTheme.getTheme();
+    draft =
+      window.DocumenterTheme.getCustomTheme() ||
+      default_custom_theme(bases.indexOf(current) !== -1 ? current : bases[0]);
+    show_error(null);
+    update_editor();
+  }
+
+  function preview() {
+    previewing = true;
+    window.DocumenterTheme.previewCustomTheme(draft);
+  }
+
+  function stop_previewing() {
+    if (!previewing) return;
+    previewing = false;
+    window.DocumenterTheme.previewCustomTheme(null);
+  }
+
+  editor.on("toggle", function () {
+    if (editor.prop("open")) {
+      start_editing();
+    } else {
+      stop_previewing();
+    }
+  });
+  editor.on("input", "input[data-color]", function () {
+    draft.colors[this.dataset.color] = this.value;
+    preview();
+  });
+  editor.on("input", ".custom-theme-name", function () {
+    draft.name = this.value;
+  });
+  // Another base starts over from its colors
+  editor.on("change", ".custom-theme-base", function () {
+    draft = Object.assign(default_custom_theme(this.value), { name: draft.name });
+    update_editor();
+    preview();
+  });
+  editor.on("click", ".custom-theme-use", function () {
+    stop_previewing();
+    window.DocumenterTheme.setCustomTheme(draft);
+    window.DocumenterTheme.setTheme("documenter-custom");
+    update_custom_option();
+    update_editor();
+  });
+  editor.on("click", ".custom-theme-remove", function () {
+    stop_previewing();
+    if (window.localStorage.getItem("documenter-theme") === "documenter-custom") {
+      window.DocumenterTheme.setTheme("auto");
+    }
+    window.DocumenterTheme.setCustomTheme(null);
+    update_custom_option();
+    start_editing();
+  });
+  editor.on("click", ".custom-theme-export", function () {
+    let blob = new Blob([JSON.stringify(draft, null, 2)], { type: "application/json" });
+    download(blob, (draft.name || "custom").replace(/[^\w-]+/g, "-") + ".json");
+  });
+  // Imported themes are used right away
+  editor.on("change", ".custom-theme-import", function () {
+    let input = this;
+    let file = input.files[0];
+    if (!file) return;
+    file.text().then(function (text) {
+      input.value = "";
+      try {
+        stop_previewing();
+        window.DocumenterTheme.setCustomTheme(JSON.parse(text));
+      } catch (err) {
+        show_error(`${file.name} is not a custom theme`);
+        return;
+      }
+      window.DocumenterTheme.setTheme("documenter-custom");
+      update_custom_option();
+      start_editing();
+    });
+  });
+
+  // Closing the settings drops the preview, like closing the editor
+  $("#documenter-settings button.delete").click(stop_previewing);
+  $(document).keyup(function (e) {
+    if (e.keyCode == 27) stop_previewing();
+  });
+  // The custom theme can also be changed in another tab
+  window.DocumenterTheme.onThemeChange(update_custom_option);
+  update_custom_option();
+}
 
 })
 ////////////////////////////////////////////////////////////////////////////////
-require(['jquery'], function($) {
+require(['jquery', 'html'], function($, { html }) {
 
 // update the version selector with info from the siteinfo.js and ../versions.js files
 $(document).ready(function () {
@@ -850,9 +3466,9 @@ $(document).ready(function () {
     $("#version-selector > option").length == 0
   ) {
     var option = $(
-      "<option value='#' selected='selected'>" +
-        DOCUMENTER_CURRENT_VERSION +
-        "</option>"
+      String(
+        html`<option value="#" selected="selected">${DOCUMENTER_CURRENT_VERSION}</option>`
+      )
     );
     version_selector_select.append(option);
   }
@@ -868,9 +3484,7 @@ $(document).ready(function () {
       // if not already in the version selector, add it as a new option,
       // otherwise update the old option with the URL and enable it
       if (existing_id == -1) {
-        var option = $(
-          "<option value='" + version_url + "'>" + each + "</option>"
-        );
+        var option = $(String(html`<option value="${version_url}">${each}</option>`));
         version_selector_select.append(option);
       } else {
         var option = existing_versions[existing_id];
@@ -0,0 +1,199 @@
+// The edge list viewer of the docs (the RequireJS module "edgelist-viewer"), which pages
+// embed with `<div class="edgelist-viewer"></div>`. It draws the graph of a `.csv` or
+// `.txt` edge list that is dropped on it, after checking the file like `load_edgelist` of
+// GraphCommunities.GraphIO does (see edgelist.js).
+define(["jquery", "edgelist", "communities", "html", "graph-widgets", "documenter-download"], function (
+  $,
+  edgelist,
+  communities,
+  { html },
+  widgets,
+  download
+) {
+  /**
+   * A standalone copy of a drawing: the colors that come from the theme (`currentColor`
+   * and the background) are resolved, so that it looks the same outside of the page
+   *
+   * @param {SVGElement} svg
+   * @returns string the markup of the SVG file
+   */
+  function standalone_svg(svg) {
+    let copy = svg.cloneNode(true);
+    let [, , width, height] = svg.getAttribute("viewBox").split(" ");
+    copy.setAttribute("width", width);
+    copy.setAttribute("height", height);
+    copy.removeAttribute("style");
+    let color = window.getComputedStyle(svg).color;
+    copy.querySelectorAll('[stroke="currentColor"]').forEach((element) => {
+      element.setAttribute("stroke", color);
+    });
+    // The background of the first ancestor that has one
+    let fill = "white";
+    for (let element = svg; element instanceof Element; element = element.parentNode) {
+      let color = window.getComputedStyle(element).backgroundColor;
+      if (color && color !== "transparent" && color !== "rgba(0, 0, 0, 0)") {
+        fill = color;
+        break;
+      }
+    }
+    let background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    background.setAttribute("width", "100%");
+    background.setAttribute("height", "100%");
+    background.setAttribute("fill", fill);
+    copy.insertBefore(background, copy.firstChild);
+    return new XMLSerializer().serializeToString(copy);
+  }
+
+  /**
+   * Turn a placeholder into an edge list viewer
+   *
+   * @param {jQuery} container the .edgelist-viewer
+   */
+  function make_edgelist_viewer(container) {
+    let width = 600;
+    let height = 400;
+    let margin = 20;
+
+    container.html(String(html`
+      <div class="box has-text-centered edgelist-drop" style="border: 2px dashed currentColor; box-shadow: none">
+        <p>Drop a <code>.csv</code> or <code>.txt</code> edge list here, or</p>
+        <div class="file is-small is-centered">
+          <label class="file-label">
+            <input class="file-input edgelist-file" type="file" accept=".csv,.txt" />
+            <span class="file-cta"><span class="file-label">choose a file</span></span>
+          </label>
+        </div>
+      </div>
+      <p class="is-size-7 edgelist-status" aria-live="polite"></p>
+      <ul class="help is-danger edgelist-errors"></ul>
+      <div class="edgelist-drawing is-hidden">
+        <div class="field is-grouped is-grouped-multiline">
+          <div class="control">
+            <div class="select is-small">
+              <select class="edgelist-algorithm" aria-label="Color the communities of">
+                <option value="">No communities</option>
+                ${Object.keys(communities.algorithms).map(
+                  (name) => html`<option value="${name}">${name}</option>`
+                )}
+              </select>
+            </div>
+          </div>
+          <div class="control buttons has-addons">
+            <button class="button is-small edgelist-svg">Download SVG</button>
+            <button class="button is-small edgelist-png">Download PNG</button>
+          </div>
+        </div>
+        <svg class="edgelist-view" viewBox="0 0 ${width} ${height}" role="img" style="width: 100%; height: auto"></svg>
+      </div>
+    `));
+
+    let name = null;
+    let g = null;
+
+    function show_errors(errors) {
+      let shown = errors.slice(0, widgets.max_errors);
+      container.find(".edgelist-errors").html(String(html`
+        ${shown.map(
+          (error) => html`<li>${error.line === null ? "" : `Line ${error.line}: `}${error.message}</li>`
+        )}
+        ${errors.length > shown.length ? html`<li>… and ${errors.length - shown.length} more</li>` : ""}
+      `));
+    }
+
+    function load(file) {
+      file.text().then(function (text) {
+        name = file.name;
+        let loaded = edgelist.load_edgelist(name, text);
+        let status = container.find(".edgelist-status");
+        let drawing = container.find(".edgelist-drawing");
+        show_errors(loaded.errors);
+        drawing.addClass("is-hidden");
+        if (loaded.errors.length > 0) {
+          status.text(`load_edgelist("${name}") would fail:`);
+          return;
+        }
+        g = communities.graph(loaded.n, loaded.edges);
+        let summary = `${name}: ${g.n} vertices and ${g.edges.length} edges`;
+        if (g.n > widgets.max_vertices) {
+          status.text(`${summary}, too many to draw here (at most ${widgets.max_vertices} vertices).`);
+          return;
+        }
+        status.text(summary);
+        drawing.removeClass("is-hidden");
+        draw();
+      });
+    }
+
+    // Draw the graph, with the vertices colored by the communities of the chosen algorithm
+    function draw() {
+      let positions = communities.layout(g).map(([x, y]) => [
+        margin + x * (width - 2 * margin),
+        margin + y * (height - 2 * margin),
+      ]);
+      let view = container.find(".edgelist-view");
+      view.attr("aria-label", `${name} with ${g.n} vertices`).html(String(widgets.graph_markup(g, positions, 6)));
+
+      let algorithm = container.find(".edgelist-algorithm").val();
+      if (!algorithm) return;
+      let state = null;
+      for (const next of communities.algorithms[algorithm](g, { random: communities.random(1) })) {
+        state = next;
+      }
+      let circles = view.find("circle");
+      if (state.labels) {
+        let colors = widgets.community_colors(state.labels);
+        circles.each(function (v) {
+          $(this).attr("fill", colors[v]);
+        });
+      } else {
+        circles.each(function (v) {
+          $(this).attr({ fill: widgets.colors[0], r: 3 + 6 * Math.sqrt(state.scores[v] * g.n) });
+        });
+      }
+    }
+
+    // Without this, browsers open the dropped file instead
+    container.on("dragenter dragover", ".edgelist-drop", function (event) {
+      event.preventDefault();
+      $(this).css("border-style", "solid");
+    });
+    container.on("dragleave drop", ".edgelist-drop", function (event) {
+      event.preventDefault();
+      $(this).css("border-style", "dashed");
+    });
+    container.on("drop", ".edgelist-drop", function (event) {
+      let files = event.originalEvent.dataTransfer.files;
+      if (files.length > 0) load(files[0]);
+    });
+    container.on("change", ".edgelist-file", function () {
+      let file = this.files[0];
+      this.value = "";
+      if (file) load(file);
+    });
+    container.on("change", ".edgelist-algorithm", draw);
+
+    function file_name(extension) {
+      return name.replace(/\.[^.]*$/, "") + extension;
+    }
+    container.on("click", ".edgelist-svg", function () {
+      let svg = standalone_svg(container.find(".edgelist-view")[0]);
+      download(new Blob([svg], { type: "image/svg+xml" }), file_name(".svg"));
+    });
+    // Twice the size of the drawing, for screens with high pixel densities
+    container.on("click", ".edgelist-png", function () {
+      let svg = standalone_svg(container.find(".edgelist-view")[0]);
+      let image = new Image();
+      image.onload = function () {
+        let canvas = document.createElement("canvas");
+        canvas.width = 2 * width;
+        canvas.height = 2 * height;
+        canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(image.src);
+        canvas.toBlob((blob) => download(blob, file_name(".png")), "image/png");
+      };
+      image.src = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    });
+  }
+
+  return make_edgelist_viewer;
+});
@@ -0,0 +1,305 @@
+// Browser-side version of `load_edgelist` of GraphCommunities.GraphIO, for the edge list
+// viewer on the docs pages (see edgelist-viewer.js). It reads the same `.csv` and `.txt` files
+// as the Julia loader and rejects the same ones, with the messages of the ArgumentErrors
+// that `load_edgelist` throws. Julia stops at the first bad row, the viewer lists them all
+// with their line numbers, so that a file can be fixed in one go. The graph generator
+// writes its files with `write_edgelist`, in the format of the Julia writer, and the
+// partition calculator reads the communities that `compute` prints with `read_communities`.
+//
+// The type inference of CSV.jl matters for the errors: a column with a single value that
+// is not an integer is read as strings (or floats), which makes `load_edgelist` fail on
+// the first row already rather than on the bad one.
+(function (root, factory) {
+  if (typeof define === "function" && define.amd) {
+    define([], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DocumenterEdgeList = factory();
+  }
+})(this, function () {
+  const max_int = 2n ** 63n - 1n;
+  // The delimiters that CSV.jl tries, in order
+  const csv_delimiters = [",", "\t", " ", "|", ";", ":"];
+  const float_pattern = /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/;
+
+  /**
+   * Julia's `parse(Int, text)`
+   *
+   * @param {string} text
+   * @returns object { value } or { error } with the message of the ArgumentError
+   */
+  function parse_int(text) {
+    let s = text.trim();
+    if (s === "") return { error: "input string is empty or only contains whitespace" };
+    let digits = s[0] === "+" || s[0] === "-" ? s.slice(1) : s;
+    if (digits === "") return { error: `premature end of integer: ${JSON.stringify(text)}` };
+    let invalid = [...digits].find((c) => c < "0" || c > "9");
+    if (invalid !== undefined) {
+      return { error: `invalid base 10 digit '${invalid}' in ${JSON.stringify(text)}` };
+    }
+    let value = BigInt(s);
+    if (value > max_int || value < -max_int - 1n) {
+      return { error: `overflow parsing ${JSON.stringify(text)}` };
+    }
+    return { value: Number(value) };
+  }
+
+  /**
+   * Julia's `validate_node`
+   *
+   * @param {*} value as shown by Julia
+   * @param {string} column "first" or "second"
+   * @returns string|null the error, if the value is not a positive integer
+   */
+  function validate_node(value, column) {
+    if (typeof value === "number" && Number.isInteger(value) && value > 0) return null;
+    return `Invalid node in ${column} column: ${value}. Needs positive integer.`;
+  }
+
+  /**
+   * Split a line of a CSV file into its fields, with CSV.jl's double quotes
+   *
+   * @param {string} line
+   * @param {string} delimiter
+   * @returns string[]
+   */
+  function split_csv(line, delimiter) {
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      let c = line[i];
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === delimiter) {
+        fields.push(field);
+        field = "";
+        // Like CSV.jl, consecutive spaces are a single delimiter
+        if (delimiter === " ") while (line[i + 1] === " ") i++;
+      } else {
+        field += c;
+      }
+    }
+    fields.push(field);
+    return fields;
+  }
+
+  /**
+   * The values of a CSV column, as CSV.jl would read them: integers if they all are,
+   * else floats if they all are, else strings. Empty fields are `missing`.
+   *
+   * @param {string[]} fields
+   * @returns Array numbers or strings, to be shown as Julia would
+   */
+  function infer_column(fields) {
+    let present = fields.filter((field) => field !== undefined && field.trim() !== "");
+    let ints = present.map(parse_int);
+    let convert;
+    if (ints.every((int) => !int.error)) {
+      convert = (field) => parse_int(field).value;
+    } else if (present.every((field) => float_pattern.test(field))) {
+      // Julia shows whole floats with a ".0"
+      convert = (field) => {
+        let float = Number(field);
+        return Number.isInteger(float) ? float.toFixed(1) : String(float);
+      };
+    } else {
+      convert = (field) => field;
+    }
+    return fields.map((field) =>
+      field === undefined || field.trim() === "" ? "missing" : convert(field)
+    );
+  }
+
+  /**
+   * Julia's `load_edgelist(path, CSVFormat())`. The first line is the header.
+   *
+   * @param {string[]} lines
+   * @returns object { edges, errors }
+   */
+  function load_csv(lines) {
+    // CSV.jl skips empty rows
+    let rows = lines
+      .map((line, i) => ({ line: i + 1, text: line }))
+      .filter((row) => row.text.trim() !== "");
+    if (rows.length === 0) return { edges: [], errors: [] };
+
+    let header = rows.shift();
+    let delimiter = csv_delimiters.find((d) => header.text.includes(d)) || ",";
+    let width = split_csv(header.text.trim(), delimiter).length;
+    let fields = rows.map((row) => split_csv(delimiter === " " ? row.text.trim() : row.text, delimiter));
+    let columns = [0, 1].map((j) => infer_column(fields.map((row) => row[j])));
+
+    let edges = [];
+    let errors = [];
+    rows.forEach((row, i) => {
+      let error =
+        width === 2
+          ? validate_node(columns[0][i], "first") || validate_node(columns[1][i], "second")
+          : "CSV rows need exactly two columns for source and destination.";
+      if (error) {
+        errors.push({ line: row.line, message: error });
+      } else {
+        edges.push([columns[0][i], columns[1][i]]);
+      }
+    });
+    return { edges: edges, errors: errors };
+  }
+
+  /**
+   * Julia's `load_edgelist(path, TXTFormat())`
+   *
+   * @param {string[]} lines
+   * @returns object { edges, errors }
+   */
+  function load_txt(lines) {
+    let edges = [];
+    let errors = [];
+    lines.forEach((line, i) => {
+      let error = null;
+      // Julia's split(line, r"\s+") keeps empty fields at the start and the end
+      let nodes = line.split(/\s+/);
+      if (nodes.length !== 2) {
+        error = "TXT rows need exactly two columns for source and destination.";
+      } else {
+        let [src, dst] = nodes.map(parse_int);
+        error =
+          src.error ||
+          dst.error ||
+          validate_node(src.value, "first") ||
+          validate_node(dst.value, "second");
+        if (!error) edges.push([src.value, dst.value]);
+      }
+      if (error) errors.push({ line: i + 1, message: error });
+    });
+    return { edges: edges, errors: errors };
+  }
+
+  /**
+   * Julia's `splitext(name)[2]`
+   *
+   * @param {string} name
+   * @returns string
+   */
+  function extension(name) {
+    return /(\.[^./]*)?$/.exec(name)[0];
+  }
+
+  /**
+   * Read an edge list like `load_edgelist(path)` does
+   *
+   * @param {string} name the file name, whose extension picks the format
+   * @param {string} text the content of the file
+   * @returns object { n, edges, errors } with `n` the number of vertices (the largest
+   *   one), `edges` the valid rows as pairs of vertices numbered from 1 and `errors` a
+   *   { line, message } for every invalid row. Errors that are not about a row, like an
+   *   unsupported file type, have a `line` of null.
+   */
+  function load_edgelist(name, text) {
+    let loaded;
+    // eachline drops the newline at the end of the file, and "\r\n" line endings
+    let lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === "") lines.pop();
+    if (name.endsWith(".csv")) {
+      loaded = load_csv(lines);
+    } else if (name.endsWith(".txt")) {
+      loaded = load_txt(lines);
+    } else {
+      loaded = {
+        edges: [],
+        errors: [{ line: null, message: `Unsupported file type: ${extension(name)}` }],
+      };
+    }
+    let n = loaded.edges.reduce((n, [u, v]) => Math.max(n, u, v), 0);
+    return { n: n, edges: loaded.edges, errors: loaded.errors };
+  }
+
+  /**
+   * Write an edge list like `write_edgelist(g, path)` does: every edge once, from its
+   * smaller vertex, in the order of `edges(g)`
+   *
+   * @param {string} name the file name, whose extension picks the format
+   * @param {number[][]} edges pairs of vertices, numbered from 1
+   * @returns string the content of the file
+   * @throws Error for other file types than `.csv` and `.txt`
+   */
+  function write_edgelist(name, edges) {
+    let rows = edges
+      .map(([u, v]) => (u <= v ? [u, v] : [v, u]))
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+      .filter((edge, i, sorted) => i === 0 || edge[0] !== sorted[i - 1][0] || edge[1] !== sorted[i - 1][1]);
+    if (name.endsWith(".csv")) {
+      return ["source,destination", ...rows.map(([u, v]) => `${u},${v}`)].join("\n") + "\n";
+    } else if (name.endsWith(".txt")) {
+      return rows.map(([u, v]) => `${u} ${v}\n`).join("");
+    }
+    throw new Error(`Unsupported file type: ${extension(name)}`);
+  }
+
+  /**
+   * Read the communities of the vertices, as a CSV file of vertices and their communities
+   * (with or without a header) or as printed by Julia: `compute` returns a `Dict`, shown as
+   * `1 => 2` pairs, or a vector of `(1, 2)` tuples for the label propagations.
+   *
+   * @param {string} text
+   * @returns object { communities, errors } with `communities` a Map from the vertices to
+   *   their communities and `errors` a { line, message } for every line that could not be
+   *   read
+   */
+  function read_communities(text) {
+    let communities = new Map();
+    let errors = [];
+    let first = true;
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === "") return;
+      let pairs = [...line.matchAll(/(-?\d+)\s*=>\s*(-?\d+)/g)];
+      if (pairs.length === 0) pairs = [...line.matchAll(/\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\)/g)];
+      if (pairs.length === 0) {
+        let match = /^\s*(-?\d+)\s*[,;\t ]\s*(-?\d+)\s*$/.exec(line);
+        if (match) pairs = [match];
+      }
+      let message = null;
+      if (line.includes("⋮")) {
+        message =
+          "Julia left out some of the communities, print all of them with " +
+          "show(IOContext(stdout, :limit => false), MIME(\"text/plain\"), communities)";
+      } else if (pairs.length === 0 && !first) {
+        message = "Expected a vertex and its community, like 1,2 or 1 => 2.";
+      }
+      // Headers, like "node,community" or "Dict{Int64, Int64} with 34 entries:"
+      first = false;
+      if (message) {
+        errors.push({ line: i + 1, message: message });
+        return;
+      }
+      pairs.forEach(([, vertex, community]) => {
+        let v = Number(vertex);
+        if (v < 1) {
+          errors.push({ line: i + 1, message: `Invalid vertex: ${vertex}. Needs positive integer.` });
+        } else if (communities.has(v) && communities.get(v) !== Number(community)) {
+          errors.push({ line: i + 1, message: `Vertex ${v} is in more than one community.` });
+        } else {
+          communities.set(v, Number(community));
+        }
+      });
+    });
+    return { communities: communities, errors: errors };
+  }
+
+  return {
+    load_edgelist: load_edgelist,
+    write_edgelist: write_edgelist,
+    read_communities: read_communities,
+    parse_int: parse_int,
+  };
+});
@@ -0,0 +1,189 @@
+// The graph generator of the docs (the RequireJS module "graph-generator"), which pages
+// embed with `<div class="graph-generator"></div>`. It generates the graphs of `generate`
+// from the same parameters, draws them with their planted communities and downloads them
+// as edge lists for `load_edgelist`.
+define(["jquery", "edgelist", "communities", "html", "graph-widgets", "documenter-download"], function (
+  $,
+  edgelist,
+  communities,
+  { html },
+  widgets,
+  download
+) {
+  // The structures of `generate`, with the keyword arguments of their constructors and
+  // their defaults. `community_size` is the size of the planted communities, if any,
+  // `pairs` the number of vertex pairs that generating the graph goes through and `random`
+  // whether the graphs are random samples.
+  const structures = {
+    ChainedCliques: {
+      parameters: [
+        { name: "num_cliques", value: 6, min: 1, step: 1 },
+        { name: "clique_size", value: 3, min: 3, step: 1 },
+      ],
+      generate: (communities, p) => communities.chained_cliques(p.num_cliques, p.clique_size),
+      community_size: (p) => p.clique_size,
+      pairs: (p) => (p.num_cliques * p.clique_size * (p.clique_size - 1)) / 2,
+    },
+    PlantedPartition: {
+      parameters: [
+        { name: "n_communities", value: 4, min: 1, step: 1 },
+        { name: "nodes_per_community", value: 20, min: 1, step: 1 },
+        { name: "pintra", value: 0.75, min: 0, max: 1, step: 0.01 },
+        { name: "pinter", value: 0.01, min: 0, max: 1, step: 0.01 },
+      ],
+      generate: (communities, p, rand) =>
+        communities.planted_partition(p.n_communities, p.nodes_per_community, p.pintra, p.pinter, rand),
+      community_size: (p) => p.nodes_per_community,
+      pairs: (p) => ((p.n_communities * p.nodes_per_community) ** 2) / 2,
+      random: true,
+    },
+    KarateClub: {
+      parameters: [],
+      generate: (communities) => communities.karate_club(),
+      community_size: () => null,
+      pairs: () => 0,
+    },
+  };
+  // Larger graphs would keep the page busy for too long
+  const max_pairs = 2e6;
+
+  /**
+   * Turn a placeholder into a graph generator
+   *
+   * @param {jQuery} container the .graph-generator
+   */
+  function make_graph_generator(container) {
+    let width = 600;
+    let height = 400;
+    let margin = 20;
+    let structure = container.data("structure") || "ChainedCliques";
+    if (!structures[structure]) structure = "ChainedCliques";
+
+    container.html(String(html`
+      <div class="field is-grouped is-grouped-multiline">
+        <div class="control">
+          <div class="select is-small">
+            <select class="generator-structure" aria-label="Structure">
+              ${Object.keys(structures).map(
+                (name) => html`<option value="${name}">${name}</option>`
+              )}
+            </select>
+          </div>
+        </div>
+        <div class="control generator-parameters field is-grouped is-grouped-multiline"></div>
+      </div>
+      <pre><code class="language-julia generator-julia"></code></pre>
+      <p class="help is-danger generator-error" aria-live="polite"></p>
+      <p class="is-size-7 generator-stats" aria-live="polite"></p>
+      <div class="field is-grouped is-grouped-multiline">
+        <div class="control">
+          <button class="button is-small generator-sample">New sample</button>
+        </div>
+        <div class="control buttons has-addons">
+          <button class="button is-small generator-download" data-format=".csv">Download CSV</button>
+          <button class="button is-small generator-download" data-format=".txt">Download TXT</button>
+        </div>
+      </div>
+      <svg class="generator-view" viewBox="0 0 ${width} ${height}" role="img" style="width: 100%; height: auto"></svg>
+    `));
+    container.find(".generator-structure").val(structure);
+
+    let g = null;
+    // PlantedPartition graphs are random, "New sample" draws the next one
+    let seed = 1;
+
+    // The inputs of the keyword arguments of the structure, with their defaults
+    function show_parameters() {
+      container.find(".generator-parameters").html(String(html`
+        ${structures[structure].parameters.map(
+          (p) => html`
+            <div class="control">
+              <label class="is-size-7">
+                <code>${p.name}</code>
+                <input class="input is-small" type="number" data-parameter="${p.name}" value="${p.value}"
+                  min="${p.min}" step="${p.step}" ${p.max === undefined ? "" : html`max="${p.max}"`} style="width: 7em" />
+              </label>
+            </div>
+          `
+        )}
+      `));
+      container.find(".generator-sample").toggleClass("is-hidden", !structures[structure].random);
+    }
+
+    function generate() {
+      let spec = structures[structure];
+      let p = {};
+      container.find("[data-parameter]").each(function () {
+        p[this.dataset.parameter] = Number(this.value);
+      });
+      let args = spec.parameters.map((parameter) => `${parameter.name}=${p[parameter.name]}`);
+      container.find(".generator-julia").text(`g = generate(${structure}(${args.join(", ")}))`);
+
+      let error = container.find(".generator-error").text("");
+      let stats = container.find(".generator-stats").text("");
+      let view = container.find(".generator-view").empty();
+      g = null;
+      try {
+        if (spec.pairs(p) > max_pairs) {
+          throw new Error("This graph is too large to generate here, please use generate in Julia.");
+        }
+        g = spec.generate(communities, p, communities.random(seed));
+      } catch (err) {
+        error.text(err.message);
+      }
+      container.find(".generator-download").prop("disabled", g === null);
+      view.toggleClass("is-hidden", g === null || g.n > widgets.max_vertices);
+      if (g === null) return;
+
+      let size = spec.community_size(p);
+      let labels = g.neighbors.map((_, v) => (size ? Math.floor(v / size) + 1 : null));
+      let summary = [`${g.n} vertices and ${g.edges.length} edges.`];
+      if (size) {
+        let within = g.edges.filter(([u, v]) => labels[u - 1] === labels[v - 1]).length;
+        summary.push(
+          `${g.n / size} planted communities of ${size} vertices, with ${within} edges within and ${g.edges.length - within} between them.`
+        );
+      }
+      // Edge lists only know the vertices up to the largest one that has an edge
+      let last = g.edges.reduce((n, [u, v]) => Math.max(n, u, v), 0);
+      if (last < g.n) {
+        summary.push(`load_edgelist reads ${last} vertices from the files, as the last ${g.n - last} have no edges.`);
+      }
+      if (g.n > widgets.max_vertices) {
+        summary.push(`Too many vertices to draw here (at most ${widgets.max_vertices}).`);
+      }
+      stats.text(summary.join(" "));
+      if (g.n > widgets.max_vertices) return;
+
+      let positions = communities.layout(g).map(([x, y]) => [
+        margin + x * (width - 2 * margin),
+        margin + y * (height - 2 * margin),
+      ]);
+      view.attr("aria-label", `${structure} with ${g.n} vertices`).html(String(widgets.graph_markup(g, positions, 6)));
+      let colors = widgets.community_colors(labels);
+      view.find("circle").each(function (v) {
+        $(this).attr("fill", colors[v]);
+      });
+    }
+
+    container.on("change", ".generator-structure", function () {
+      structure = this.value;
+      show_parameters();
+      generate();
+    });
+    container.on("change", "[data-parameter]", generate);
+    container.on("click", ".generator-sample", function () {
+      seed += 1;
+      generate();
+    });
+    container.on("click", ".generator-download", function () {
+      let name = structure.replace(/(.)([A-Z])/g, "$1-$2").toLowerCase() + this.dataset.format;
+      let text = edgelist.write_edgelist(name, g.edges);
+      download(new Blob([text], { type: "text/plain" }), name);
+    });
+    show_parameters();
+    generate();
+  }
+
+  return make_graph_generator;
+});
@@ -0,0 +1,67 @@
+// What the graph widgets of the docs (playground.js and the like) share: how they draw
+// graphs and color their communities. This is the RequireJS module "graph-widgets".
+define(["html"], function ({ html }) {
+  // The layout takes too long for larger graphs, and their drawings are a hairball anyway
+  const max_vertices = 300;
+  // How many errors of an edge list the widgets list
+  const max_errors = 10;
+  const colors = [
+    "#4e79a7",
+    "#f28e2b",
+    "#e15759",
+    "#76b7b2",
+    "#59a14f",
+    "#edc948",
+    "#b07aa1",
+    "#ff9da7",
+    "#9c755f",
+    "#bab0ac",
+  ];
+
+  /**
+   * The color of every vertex: communities are colored in the order in which their first
+   * vertex comes, and vertices in no community are left blank
+   *
+   * @param {Array} labels
+   * @returns string[]
+   */
+  function community_colors(labels) {
+    let order = [...new Set(labels.filter((label) => label !== null))];
+    return labels.map((label) => {
+      if (label === null) return "transparent";
+      let i = order.indexOf(label);
+      return i < colors.length ? colors[i] : `hsl(${(i * 137.5) % 360}, 55%, 55%)`;
+    });
+  }
+
+  /**
+   * The edges and the (blank) vertices of a drawing of a graph
+   *
+   * @param {object} g
+   * @param {number[][]} positions the [x, y] of every vertex in the drawing
+   * @param {number} radius of the vertices
+   * @returns SafeHTML
+   */
+  function graph_markup(g, positions, radius) {
+    return html`
+      <g stroke="currentColor" stroke-opacity="0.35">
+        ${g.edges.map(
+          ([u, v]) => html`<line x1="${positions[u - 1][0]}" y1="${positions[u - 1][1]}" x2="${positions[v - 1][0]}" y2="${positions[v - 1][1]}" />`
+        )}
+      </g>
+      <g stroke="currentColor">
+        ${positions.map(
+          ([x, y], v) => html`<circle cx="${x}" cy="${y}" r="${radius}" fill="transparent"><title>${v + 1}</title></circle>`
+        )}
+      </g>
+    `;
+  }
+
+  return {
+    max_vertices: max_vertices,
+    max_errors: max_errors,
+    colors: colors,
+    community_colors: community_colors,
+    graph_markup: graph_markup,
+  };
+});
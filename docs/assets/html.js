@@ -0,0 +1,91 @@
+// Small HTML templating helpers, shared by documenter.js (as the RequireJS module "html")
+// and warner.js (as the global DocumenterHTML, which is why this file is also loaded with
+// a plain <script> tag before warner.js).
+//
+// Everything that ends up in the page through innerHTML or jQuery's .html() should be
+// built with the `html` tag below: interpolated values are escaped unless they are
+// themselves the result of `html` (or explicitly marked with `raw`). Docstrings are full
+// of things like `Louvain <: CommunityDetectionAlgorithm` or `Vector{Tuple{Int,Int}}`,
+// which must show up as text rather than be parsed as markup.
+(function (root, factory) {
+  if (typeof define === "function" && define.amd) {
+    define([], factory);
+  } else {
+    root.DocumenterHTML = factory();
+  }
+})(this, function () {
+  /**
+   * A string of markup that is safe to insert as-is
+   *
+   * @param {string} value
+   */
+  function SafeHTML(value) {
+    this.value = value;
+  }
+  SafeHTML.prototype.toString = function () {
+    return this.value;
+  };
+
+  var entities = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  };
+
+  /**
+   * Escape a string so that it can be used as text or as a (quoted) attribute value
+   *
+   * @param {*} value
+   * @returns string
+   */
+  function escape(value) {
+    return String(value).replace(/[&<>"']/g, function (c) {
+      return entities[c];
+    });
+  }
+
+  /**
+   * Mark a string of markup as trusted. Only for markup that does not contain any
+   * external data, e.g. static templates.
+   *
+   * @param {string} value
+   * @returns SafeHTML
+   */
+  function raw(value) {
+    return new SafeHTML(String(value));
+  }
+
+  /**
+   * Render an interpolated value: markup made by `html`/`raw` is kept, arrays are
+   * rendered element-wise, null, undefined and false render as nothing and everything
+   * else is escaped.
+   *
+   * @param {*} value
+   * @returns string
+   */
+  function render(value) {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(render).join("");
+    if (value === null || value === undefined || value === false) return "";
+    return escape(value);
+  }
+
+  /**
+   * Template literal tag that escapes all interpolated values, e.g.
+   *
+   *     html`<div class="search-result-title">${result.title}</div>`
+   *
+   * @returns SafeHTML
+   */
+  function html(strings) {
+    var out = strings[0];
+    for (var i = 1; i < strings.length; i++) {
+      out += render(arguments[i]) + strings[i];
+    }
+    return new SafeHTML(out);
+  }
+
+  return { html: html, raw: raw, escape: escape, SafeHTML: SafeHTML };
+});
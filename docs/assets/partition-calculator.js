@@ -0,0 +1,183 @@
+// The partition calculator of the docs (the RequireJS module "partition-calculator"),
+// which pages embed with `<div class="partition-calculator"></div>`. It rates the
+// communities of a pasted edge list, e.g. the ones printed by `compute`.
+define(["jquery", "edgelist", "communities", "html", "graph-widgets"], function (
+  $,
+  edgelist,
+  communities,
+  { html },
+  widgets
+) {
+  // The columns of the table of communities
+  const columns = [
+    { key: "label", title: "Community" },
+    { key: "size", title: "Vertices" },
+    { key: "internal", title: "Edges within" },
+    { key: "cut", title: "Edges leaving" },
+    { key: "conductance", title: "Conductance" },
+  ];
+
+  /**
+   * Turn a placeholder into a partition calculator
+   *
+   * @param {jQuery} container the .partition-calculator
+   */
+  function make_partition_calculator(container) {
+    container.html(String(html`
+      <div class="columns">
+        <div class="column">
+          <div class="field">
+            <label class="label is-small">Edge list</label>
+            <div class="control">
+              <div class="select is-small">
+                <select class="partition-format" aria-label="Format of the edge list">
+                  <option value=".csv">CSV, with a header</option>
+                  <option value=".txt">TXT</option>
+                </select>
+              </div>
+            </div>
+          </div>
+          <textarea class="textarea is-small partition-edges" rows="8" aria-label="Edge list"
+            placeholder="source,destination&#10;1,2&#10;1,3"></textarea>
+        </div>
+        <div class="column">
+          <div class="field">
+            <label class="label is-small">Communities</label>
+            <p class="help">As printed by <code>compute</code>, or a CSV file of vertices and their communities</p>
+          </div>
+          <textarea class="textarea is-small partition-assignment" rows="8" aria-label="Communities"
+            placeholder="Dict{Int64, Int64} with 3 entries:&#10;  1 => 1&#10;  2 => 1"></textarea>
+        </div>
+      </div>
+      <div class="field buttons">
+        <button class="button is-small partition-compute">Compute</button>
+        <button class="button is-small partition-example">Example</button>
+      </div>
+      <ul class="help is-danger partition-errors"></ul>
+      <div class="partition-results is-hidden">
+        <table class="table is-narrow partition-summary"><tbody></tbody></table>
+        <table class="table is-narrow is-hoverable partition-table">
+          <thead>
+            <tr>
+              ${columns.map(
+                (column) => html`<th data-key="${column.key}"><a href="#" role="button">${column.title}</a></th>`
+              )}
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    `));
+
+    let rows = [];
+    let sort = { key: "size", descending: true };
+
+    function show_table() {
+      let sign = sort.descending ? -1 : 1;
+      // Communities without conductance come last either way
+      let sorted = rows.slice().sort((a, b) => {
+        let [x, y] = [a[sort.key], b[sort.key]];
+        if (x === null || y === null) return (x === null) - (y === null);
+        return sign * (x < y ? -1 : x > y ? 1 : 0);
+      });
+      container.find(".partition-table th").each(function () {
+        let key = this.dataset.key;
+        $(this).attr("aria-sort", key !== sort.key ? null : sort.descending ? "descending" : "ascending");
+      });
+      container.find(".partition-table tbody").html(String(html`
+        ${sorted.map(
+          (row) => html`
+            <tr>
+              <td>${row.label}</td>
+              <td>${row.size}</td>
+              <td>${row.internal}</td>
+              <td>${row.cut}</td>
+              <td>${row.conductance === null ? "–" : row.conductance.toFixed(3)}</td>
+            </tr>
+          `
+        )}
+      `));
+    }
+
+    function compute() {
+      let name = "edges" + container.find(".partition-format").val();
+      let loaded = edgelist.load_edgelist(name, container.find(".partition-edges").val());
+      let read = edgelist.read_communities(container.find(".partition-assignment").val());
+      let errors = [
+        ...loaded.errors.map((error) => `Edge list, line ${error.line}: ${error.message}`),
+        ...read.errors.map((error) => `Communities, line ${error.line}: ${error.message}`),
+      ];
+      if (errors.length === 0 && loaded.edges.length === 0) errors.push("The edge list has no edges.");
+      let shown = errors.slice(0, widgets.max_errors);
+      container.find(".partition-errors").html(String(html`
+        ${shown.map((error) => html`<li>${error}</li>`)}
+        ${errors.length > shown.length ? html`<li>… and ${errors.length - shown.length} more</li>` : ""}
+      `));
+      container.find(".partition-results").toggleClass("is-hidden", errors.length > 0);
+      if (errors.length > 0) return;
+
+      let g = communities.graph(loaded.n, loaded.edges);
+      let labels = g.neighbors.map((_, v) => (read.communities.has(v + 1) ? read.communities.get(v + 1) : null));
+      let quality = communities.partition_quality(g, labels);
+      rows = quality.communities;
+      let sizes = rows.map((row) => row.size).sort((a, b) => a - b);
+      let conductances = rows.map((row) => row.conductance).filter((c) => c !== null);
+      let unassigned = labels.filter((label, v) => label === null && g.neighbors[v].length > 0).length;
+      let summary = [
+        ["graph_modularity", communities.graph_modularity(g, labels).toFixed(4)],
+        ["Modularity, with all pairs of vertices", communities.modularity(g, labels).toFixed(4)],
+        ["number_of_communities", rows.length],
+        [
+          "Community sizes",
+          sizes.length === 0
+            ? "–"
+            : `smallest ${sizes[0]}, median ${sizes[Math.floor((sizes.length - 1) / 2)]}, largest ${sizes[sizes.length - 1]}`,
+        ],
+        ["Coverage (edges within communities)", `${(100 * quality.coverage).toFixed(1)}%`],
+        [
+          "Conductance",
+          conductances.length === 0
+            ? "–"
+            : `mean ${(conductances.reduce((a, b) => a + b, 0) / conductances.length).toFixed(3)}, largest ${Math.max(...conductances).toFixed(3)}`,
+        ],
+      ];
+      // graph_modularity throws a KeyError for them, here they are communities of their own
+      if (unassigned > 0) summary.push(["Vertices with edges but without community", unassigned]);
+      container.find(".partition-summary tbody").html(String(html`
+        ${summary.map(([name, value]) => html`<tr><th>${name}</th><td>${value}</td></tr>`)}
+      `));
+      show_table();
+    }
+
+    container.on("click", ".partition-compute", compute);
+    container.on("click", ".partition-table th a", function (event) {
+      event.preventDefault();
+      let key = $(this).parent().data("key");
+      sort = { key: key, descending: sort.key === key ? !sort.descending : key !== "label" };
+      show_table();
+    });
+    // The karate club with the communities of Louvain, printed the way Julia prints them
+    container.on("click", ".partition-example", function () {
+      let g = communities.karate_club();
+      let labels = null;
+      for (const state of communities.algorithms.Louvain(g, { random: communities.random(1) })) {
+        labels = state.labels;
+      }
+      // Numbered from 1, like the communities of compute
+      let ids = new Map();
+      labels.forEach((label) => ids.has(label) || ids.set(label, ids.size + 1));
+      let width = String(g.n).length;
+      container.find(".partition-format").val(".csv");
+      container.find(".partition-edges").val(edgelist.write_edgelist("karate.csv", g.edges));
+      container.find(".partition-assignment").val(
+        [
+          `Dict{Int64, Int64} with ${g.n} entries:`,
+          ...labels.map((label, v) => `  ${String(v + 1).padEnd(width)} => ${ids.get(label)}`),
+        ].join("\n")
+      );
+      compute();
+    });
+  }
+
+  return make_partition_calculator;
+});
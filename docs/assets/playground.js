@@ -0,0 +1,166 @@
+// The algorithm playground of the docs (the RequireJS module "playground"), which pages
+// embed with e.g.
+//
+//     ```@raw html
+//     <div class="community-playground" data-algorithm="Louvain" data-graph="KarateClub"></div>
+//     ```
+//
+// It runs the algorithms of communities.js on a small graph and colors the vertices by
+// community after every step.
+define(["jquery", "communities", "html", "graph-widgets", "documenter-preferences"], function (
+  $,
+  communities,
+  { html },
+  widgets,
+  preferences
+) {
+  const graphs = {
+    KarateClub: (communities) => communities.karate_club(),
+    ChainedCliques: (communities) => communities.chained_cliques(6, 3),
+  };
+  // Time between the steps of "Run", in milliseconds
+  const delay = 700;
+
+  /**
+   * Turn a placeholder into a playground
+   *
+   * @param {jQuery} container the .community-playground
+   */
+  function make_playground(container) {
+    let width = 600;
+    let height = 400;
+    let margin = 20;
+    let algorithm = container.data("algorithm") || "Louvain";
+    let graph_name = container.data("graph") || "KarateClub";
+    if (!communities.algorithms[algorithm]) algorithm = "Louvain";
+    if (!graphs[graph_name]) graph_name = "KarateClub";
+
+    container.html(String(html`
+      <div class="field is-grouped is-grouped-multiline">
+        <div class="control">
+          <div class="select is-small">
+            <select class="playground-algorithm" aria-label="Algorithm">
+              ${Object.keys(communities.algorithms).map(
+                (name) => html`<option value="${name}">${name}</option>`
+              )}
+            </select>
+          </div>
+        </div>
+        <div class="control">
+          <div class="select is-small">
+            <select class="playground-graph" aria-label="Graph">
+              ${Object.keys(graphs).map(
+                (name) => html`<option value="${name}">${name}</option>`
+              )}
+            </select>
+          </div>
+        </div>
+        <div class="control buttons has-addons">
+          <button class="button is-small playground-step">Step</button>
+          <button class="button is-small playground-run">Run</button>
+          <button class="button is-small playground-reset">Reset</button>
+        </div>
+      </div>
+      <svg class="playground-view" viewBox="0 0 ${width} ${height}" role="img" style="width: 100%; height: auto"></svg>
+      <p class="is-size-7 playground-status" aria-live="polite"></p>
+    `));
+    container.find(".playground-algorithm").val(algorithm);
+    container.find(".playground-graph").val(graph_name);
+
+    let g = null;
+    let steps = null;
+    let state = null;
+    let timer = null;
+
+    // Draw the graph, with its vertices blank until the first step
+    function draw() {
+      let positions = communities.layout(g).map(([x, y]) => [
+        margin + x * (width - 2 * margin),
+        margin + y * (height - 2 * margin),
+      ]);
+      container
+        .find(".playground-view")
+        .attr("aria-label", `${graph_name} with ${g.n} vertices`)
+        .html(String(widgets.graph_markup(g, positions, 8)));
+    }
+
+    // Show the state after a step: colors for communities, sizes for PageRank scores
+    function show() {
+      let circles = container.find(".playground-view circle");
+      let status = state.note;
+      if (state.labels) {
+        let colors = widgets.community_colors(state.labels);
+        circles.each(function (v) {
+          let label = state.labels[v];
+          $(this).attr({ fill: colors[v], r: 8 });
+          $(this)
+            .find("title")
+            .text(`${v + 1}: ${label === null ? "in no community" : `community ${label}`}`);
+        });
+        let count = new Set(state.labels.filter((label) => label !== null)).size;
+        let modularity = communities.modularity(g, state.labels);
+        status += ` (${count} communities, modularity ${modularity.toFixed(3)})`;
+      } else {
+        circles.each(function (v) {
+          let score = state.scores[v];
+          $(this).attr({ fill: widgets.colors[0], r: 4 + 8 * Math.sqrt(score * g.n) });
+          $(this).find("title").text(`${v + 1}: score ${score.toFixed(4)}`);
+        });
+      }
+      container.find(".playground-status").text(state.done ? `${status}. Done.` : status);
+      container.find(".playground-step, .playground-run").prop("disabled", !!state.done);
+    }
+
+    function step() {
+      let next = steps.next();
+      if (next.done) {
+        state = Object.assign({}, state, { done: true });
+      } else {
+        state = next.value;
+      }
+      show();
+      if (state.done) stop();
+    }
+
+    function stop() {
+      clearTimeout(timer);
+      timer = null;
+      container.find(".playground-run").text("Run");
+    }
+
+    function reset() {
+      stop();
+      algorithm = container.find(".playground-algorithm").val();
+      graph_name = container.find(".playground-graph").val();
+      g = graphs[graph_name](communities);
+      // Seeded, so that a reset replays the same run
+      steps = communities.algorithms[algorithm](g, { random: communities.random(1) });
+      draw();
+      step();
+    }
+
+    container.on("click", ".playground-step", function () {
+      stop();
+      step();
+    });
+    container.on("click", ".playground-run", function () {
+      if (timer !== null) return stop();
+      // Without motion, the run goes straight to the end
+      if (preferences.get("reduced_motion")) {
+        while (!state.done) step();
+        return;
+      }
+      $(this).text("Pause");
+      let tick = function () {
+        step();
+        if (timer !== null) timer = setTimeout(tick, delay);
+      };
+      timer = setTimeout(tick, 0);
+    });
+    container.on("click", ".playground-reset", reset);
+    container.on("change", "select", reset);
+    reset();
+  }
+
+  return make_playground;
+});
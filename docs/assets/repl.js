@@ -0,0 +1,154 @@
+// Julia REPL transcripts in code blocks, for the copy buttons of documenter.js. The
+// examples of the docs are mostly transcripts like
+//
+//     julia> g = generate(KarateClub());
+//
+//     julia> compute(Louvain(), g)
+//     Dict{Int64, Int64} with 34 entries:
+//       ...
+//
+// which do not run when pasted as they are. This turns them into the code that was typed
+// at the prompts, and the examples of a whole page into a script.
+(function (root, factory) {
+  if (typeof define === "function" && define.amd) {
+    define([], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DocumenterREPL = factory();
+  }
+})(this, function () {
+  // The prompts of the REPL modes, e.g. `(@v1.x) pkg> ` for the package manager
+  const prompt = /^(julia|help\?|shell|(?:\([^)]*\) )?pkg)> ?/;
+  // Lines that continue the input after a prompt are indented like it
+  const continuation = "       ";
+
+  /**
+   * Split a transcript into what was typed at every prompt and what was printed
+   *
+   * @param {string} text
+   * @returns object[]|null a { mode, input, output } for every prompt, with `mode` one of
+   *   "julia", "help", "shell" and "pkg", or null if the text is not a transcript
+   */
+  function parse(text) {
+    let entries = [];
+    let entry = null;
+    let typing = false;
+    text.split(/\r?\n/).forEach((line) => {
+      let match = prompt.exec(line);
+      if (match) {
+        let mode = match[1].endsWith("pkg") ? "pkg" : match[1].replace("?", "");
+        entry = { mode: mode, input: [line.slice(match[0].length)], output: [] };
+        entries.push(entry);
+        typing = true;
+      } else if (entry === null) {
+        // Whatever comes before the first prompt
+      } else if (typing && line.startsWith(continuation)) {
+        entry.input.push(line.slice(continuation.length));
+      } else {
+        entry.output.push(line);
+        typing = false;
+      }
+    });
+    if (entries.length === 0) return null;
+    return entries.map((entry) => ({
+      mode: entry.mode,
+      input: entry.input.join("\n"),
+      output: entry.output.join("\n").replace(/\s+$/, ""),
+    }));
+  }
+
+  /**
+   * The code of a code block without prompts and printed output. Package manager commands
+   * become `pkg"..."` calls, help and shell commands become comments. Code blocks that are
+   * not transcripts are returned as they are.
+   *
+   * @param {string} text
+   * @returns string
+   */
+  function input_only(text) {
+    let entries = parse(text);
+    if (entries === null) return text;
+    let lines = [];
+    entries.forEach((entry) => {
+      if (entry.mode === "julia") {
+        lines.push(entry.input);
+      } else if (entry.mode === "pkg") {
+        if (!lines.includes("using Pkg")) lines.push("using Pkg");
+        lines.push(`pkg${JSON.stringify(entry.input.trim())}`);
+      } else {
+        lines.push(`# ${entry.mode === "help" ? "help?" : entry.mode}> ${entry.input}`);
+      }
+    });
+    return lines.join("\n");
+  }
+
+  /**
+   * Whether a code block is the signature of a docstring, like
+   * `generate(structure::KarateClub)::SimpleGraph` or `Louvain <: CommunityDetectionAlgorithm`,
+   * rather than code to run
+   *
+   * @param {string} text
+   * @returns boolean
+   */
+  function is_signature(text) {
+    let line = text.trim();
+    if (line.includes("\n")) return false;
+    if (/^[\w.!]+(\{.*\})? <: [\w.]+(\{.*\})?$/.test(line)) return true;
+    // A call with typed arguments or a return type, which is not an assignment
+    let call = /^[\w.!]+(\{.*\})?\(.*\)(::.+)?$/.test(line);
+    return call && line.includes("::") && !line.includes(" = ");
+  }
+
+  /**
+   * A script with the code of all examples of a page: the code blocks without prompts and
+   * output, in order, with their package manager commands and then their `using` and
+   * `import` statements moved to the top
+   *
+   * @param {string[]} blocks the text of the code blocks
+   * @param {string} title a comment for the top of the script
+   * @returns string
+   */
+  function script(blocks, title) {
+    let packages = [];
+    let imports = [];
+    let code = [];
+    // Where a line goes if it is moved to the top. `using Pkg` comes back with the
+    // package manager commands.
+    let moved_to = (line) => {
+      if (line === "using Pkg") return [];
+      if (line.startsWith('pkg"')) return packages;
+      if (/^(using|import) /.test(line)) return imports;
+      return null;
+    };
+    blocks
+      .filter((block) => !is_signature(block))
+      .forEach((block) => {
+        let lines = input_only(block)
+          .split("\n")
+          .filter((line) => {
+            let moved = moved_to(line);
+            if (moved === null) return true;
+            if (!moved.includes(line)) moved.push(line);
+            return false;
+          });
+        let rest = lines.join("\n").trim();
+        if (rest !== "") code.push(rest);
+      });
+    if (packages.length > 0) packages.unshift("using Pkg");
+    let header = title
+      .split("\n")
+      .map((line) => `# ${line}`)
+      .join("\n");
+    return (
+      [header, packages.join("\n"), imports.join("\n"), ...code].filter((part) => part !== "").join("\n\n") + "\n"
+    );
+  }
+
+  return {
+    parse: parse,
+    input_only: input_only,
+    is_signature: is_signature,
+    script: script,
+  };
+});
@@ -0,0 +1,735 @@
+// The search engine of the docs: the MiniSearch options and the execution of queries.
+// The same options have to be used to build the index and to load a serialized one, so
+// this is shared between
+//
+//  - search-worker.js, which runs the search in a Web Worker (global DocumenterSearchEngine),
+//  - documenter.js, which runs it on the main thread if workers are not available (as the
+//    RequireJS module "search-engine"), and
+//  - ../build_search_index.js, which serializes the index ahead of time (in Node.js).
+//
+// How results are ranked can be tuned with a ranking profile, which sites set as
+// DOCUMENTER_SEARCH_RANKING in siteinfo.js. Everything in it is optional:
+//
+//     DOCUMENTER_SEARCH_RANKING = {
+//       boost: { title: 100, text: 1 },          // per field
+//       category_boost: { type: 2, page: 0.5 },  // multiplies the scores per category
+//       prefix: true,           // the last word of a query also matches longer words
+//       fuzzy: { min_length: 5, ratio: 0.2, max: 2 },  // typos allowed, see fuzziness
+//       exact_identifier: 3,    // bonus for docstrings named exactly like a query word
+//       min_score: 1,           // results scoring less are dropped
+//       stop_words: ["a", "the"],  // replaces the list below
+//     };
+//
+// Prefix search is off by default (`prefix: false`), no category is boosted and the stop
+// words are the list below. The other values of the example are the defaults.
+//
+// Indexes serialized ahead of time use the default stop words, so a site that replaces
+// them has its index built in the browser.
+(function (root, factory) {
+  if (typeof define === "function" && define.amd) {
+    define([], factory);
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DocumenterSearchEngine = factory();
+  }
+})(this, function () {
+  // list below is the lunr 2.1.3 list minus the intersect with names(Base)
+  // (all, any, get, in, is, only, which) and (do, else, for, let, where, while, with)
+  // ideally we'd just filter the original list but it's not available as a variable
+  const stopWords = new Set([
+    "a",
+    "able",
+    "about",
+    "across",
+    "after",
+    "almost",
+    "also",
+    "am",
+    "among",
+    "an",
+    "and",
+    "are",
+    "as",
+    "at",
+    "be",
+    "because",
+    "been",
+    "but",
+    "by",
+    "can",
+    "cannot",
+    "could",
+    "dear",
+    "did",
+    "does",
+    "either",
+    "ever",
+    "every",
+    "from",
+    "got",
+    "had",
+    "has",
+    "have",
+    "he",
+    "her",
+    "hers",
+    "him",
+    "his",
+    "how",
+    "however",
+    "i",
+    "if",
+    "into",
+    "it",
+    "its",
+    "just",
+    "least",
+    "like",
+    "likely",
+    "may",
+    "me",
+    "might",
+    "most",
+    "must",
+    "my",
+    "neither",
+    "no",
+    "nor",
+    "not",
+    "of",
+    "off",
+    "often",
+    "on",
+    "or",
+    "other",
+    "our",
+    "own",
+    "rather",
+    "said",
+    "say",
+    "says",
+    "she",
+    "should",
+    "since",
+    "so",
+    "some",
+    "than",
+    "that",
+    "the",
+    "their",
+    "them",
+    "then",
+    "there",
+    "these",
+    "they",
+    "this",
+    "tis",
+    "to",
+    "too",
+    "twas",
+    "us",
+    "wants",
+    "was",
+    "we",
+    "were",
+    "what",
+    "when",
+    "who",
+    "whom",
+    "why",
+    "will",
+    "would",
+    "yet",
+    "you",
+    "your",
+  ]);
+
+  const default_profile = {
+    boost: { title: 100, text: 1 },
+    category_boost: {},
+    prefix: false,
+    fuzzy: { min_length: 5, ratio: 0.2, max: 2 },
+    exact_identifier: 3,
+    min_score: 1,
+    stop_words: null,
+  };
+
+  /**
+   * Fill in the defaults of a ranking profile
+   *
+   * @param {object} overrides e.g. DOCUMENTER_SEARCH_RANKING
+   * @returns object
+   */
+  function ranking_profile(overrides) {
+    let profile = Object.assign({}, default_profile, overrides);
+    profile.fuzzy = Object.assign({}, default_profile.fuzzy, profile.fuzzy);
+    profile.category_boost = Object.assign({}, default_profile.category_boost, profile.category_boost);
+    return profile;
+  }
+
+  /**
+   * Drop stop words, trim the punctuation around words and lowercase them, so that e.g.
+   * `fastlpa` finds `FastLPA` without having to allow typos
+   *
+   * @param {string} term
+   * @param {Set<string>} stop_words
+   * @returns string|null
+   */
+  function process_term(term, stop_words) {
+    let word = stop_words.has(term.toLowerCase()) ? null : term;
+    if (word) {
+      // custom trimmer that doesn't strip @ and !, which are used in julia macro and function names
+      word = word
+        .replace(/^[^a-zA-Z0-9@!]+/, "")
+        .replace(/[^a-zA-Z0-9@!]+$/, "")
+        .toLowerCase();
+    }
+
+    return word ?? null;
+  }
+
+  function processTerm(term) {
+    return process_term(term, stopWords);
+  }
+
+  // add . as a separator, because otherwise "title": "Documenter.Anchors.add!", would not find anything if searching for "add!", only for the entire qualification
+  function tokenize(string) {
+    return string.split(/[\s\-\.]+/);
+  }
+
+  const options = {
+    fields: ["title", "text"], // fields to index for full-text search
+    // fields to return with search results, the title is returned as `heading` (see below)
+    storeFields: ["location", "heading", "text", "category", "page", "signatures", "paragraph"],
+    // Only the first record of an entry is found by its title, see records()
+    extractField: (record, field) => {
+      if (field === "heading") return record.title;
+      if (field === "title" && !record.id.endsWith(".0")) return "";
+      return record[field];
+    },
+    processTerm: processTerm,
+    tokenize: tokenize,
+    // options which will be applied during the search, the ranking ones are set by search()
+    searchOptions: {
+      processTerm: processTerm,
+      tokenize: tokenize,
+    },
+  };
+
+  /**
+   * The index options for a ranking profile, which differ from `options` only if the
+   * profile replaces the stop words
+   *
+   * @param {object} profile
+   * @returns object
+   */
+  function options_for(profile) {
+    if (!profile.stop_words) return options;
+
+    let stop_words = new Set(profile.stop_words);
+    let process = (term) => process_term(term, stop_words);
+    return Object.assign({}, options, {
+      processTerm: process,
+      searchOptions: Object.assign({}, options.searchOptions, { processTerm: process }),
+    });
+  }
+
+  /**
+   * How many typos a query word may have: none for words shorter than
+   * `fuzzy.min_length`, then one per `1 / fuzzy.ratio` characters, up to `fuzzy.max`.
+   * Short words like `lpa` would otherwise match all sorts of words.
+   *
+   * @param {object} profile
+   * @returns function minisearch's `fuzzy` search option
+   */
+  function fuzziness(profile) {
+    let { min_length, ratio, max } = profile.fuzzy;
+    return (term) =>
+      term.length < min_length ? false : Math.min(max, Math.round(term.length * ratio)) || false;
+  }
+
+  // Entries longer than this are split up, see records()
+  const record_length = 400;
+  // How many words of a record its paragraph slug has
+  const slug_length = 8;
+
+  /**
+   * The words of a text as paragraph slugs compare them: runs of letters and digits, so
+   * that punctuation, markup and whitespace do not matter
+   *
+   * @param {string} text
+   * @returns RegExpMatchArray[] with the `index` of each word in the text
+   */
+  function slug_words(text) {
+    return [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  }
+
+  /**
+   * Identify where a record starts by its first words, e.g.
+   * `the-louvain-algorithm-for-community-detection-in-networks`. Unlike the id of a
+   * record, this does not change when text is added to or removed from the docs around
+   * it, so it can be linked to (see find_paragraph).
+   *
+   * @param {string} text
+   * @returns string
+   */
+  function paragraph_slug(text) {
+    return slug_words(text)
+      .slice(0, slug_length)
+      .map((m) => m[0].toLowerCase())
+      .join("-");
+  }
+
+  /**
+   * Find where the words of a paragraph slug appear in a text, like the text of a page
+   *
+   * @param {string} text
+   * @param {string} slug see paragraph_slug
+   * @param {number} from where in the text to start looking
+   * @returns number the index of the first word in the text, or -1
+   */
+  function find_paragraph(text, slug, from = 0) {
+    if (!slug) return -1;
+    let words = slug_words(text);
+    let wanted = slug.split("-");
+    for (let i = 0; i + wanted.length <= words.length; i++) {
+      if (words[i].index < from) continue;
+      if (wanted.every((word, j) => words[i + j][0].toLowerCase() === word)) return words[i].index;
+    }
+    return -1;
+  }
+
+  /**
+   * Turn the entries of documenterSearchIndex into the records of the index. A docstring
+   * or a part of a page comes as a single entry, padded with runs of blank lines. Long
+   * entries are split at paragraph breaks into records of up to about `record_length`
+   * characters, so that a result points to the part of the text that matched. Every
+   * method of a docstring starts a record of its own. Records keep the location of their
+   * entry and the signatures of all its methods, since the record that matched may not
+   * hold the one that the query asks for (see docstring_match). Their id is the position
+   * of the entry followed by the position of the record within it, e.g. `12.3`, and
+   * results link to them by their `paragraph` slug (see paragraph_slug). Only the first
+   * record of an entry is indexed by its title, so that a query for the title does not
+   * match every record.
+   *
+   * @param {object[]} docs
+   * @returns object[]
+   */
+  function records(docs) {
+    let records = [];
+    docs.forEach((entry, i) => {
+      let signatures = ["page", "section"].includes(entry.category)
+        ? []
+        : docstring_signatures(entry.text).map((x) => x.text);
+      let parts = [];
+      entry.text
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.trim())
+        .filter((paragraph) => paragraph)
+        .forEach((paragraph) => {
+          let last = parts.length - 1;
+          if (
+            last >= 0 &&
+            !signatures.includes(paragraph) &&
+            parts[last].length + paragraph.length < record_length
+          ) {
+            parts[last] += "\n\n" + paragraph;
+          } else {
+            parts.push(paragraph);
+          }
+        });
+      if (!parts.length) parts.push("");
+
+      parts.forEach((text, n) => {
+        records.push(
+          Object.assign({}, entry, {
+            id: `${i}.${n}`,
+            text: text,
+            signatures: signatures,
+            paragraph: paragraph_slug(text),
+          })
+        );
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Read the entries from the text of a search_index.js, i.e. a script of the form
+   * `var documenterSearchIndex = {"docs": [...]}`. This is how the indexes of the other
+   * versions of the docs are loaded, since as scripts they would all define the same
+   * variable.
+   *
+   * @param {string} text
+   * @returns object[]
+   */
+  function parse_search_index(text) {
+    let json = text.slice(text.indexOf("=") + 1).trim().replace(/;$/, "");
+    return JSON.parse(json)["docs"];
+  }
+
+  /**
+   * The titles of the docstrings among the entries of documenterSearchIndex, e.g.
+   * `GraphCommunities.FastLPA`
+   *
+   * @param {object[]} docs
+   * @returns string[]
+   */
+  function docstring_titles(docs) {
+    return docs.filter((x) => !["page", "section"].includes(x.category)).map((x) => x.title);
+  }
+
+  /**
+   * Build the index from the entries of documenterSearchIndex
+   *
+   * @param {function} MiniSearch
+   * @param {object[]} docs
+   * @param {object} profile see ranking_profile, defaults if not given
+   * @returns MiniSearch
+   */
+  function create(MiniSearch, docs, profile = ranking_profile()) {
+    let index = new MiniSearch(options_for(profile));
+    index.addAll(records(docs));
+    return index;
+  }
+
+  /**
+   * Load an index serialized with `JSON.stringify(index)`, after JSON.parse
+   *
+   * @param {function} MiniSearch
+   * @param {object} js
+   * @param {object} profile see ranking_profile, defaults if not given
+   * @returns MiniSearch
+   */
+  function load(MiniSearch, js, profile = ranking_profile()) {
+    return MiniSearch.loadJS(js, options_for(profile));
+  }
+
+  // A (possibly qualified) Julia identifier, e.g. `GraphCommunities.compute` or `push!`
+  const identifier = "[A-Za-z_\\u00A0-\\uFFFF][\\w!\\u00A0-\\uFFFF]*";
+  const qualified = `${identifier}(?:\\.${identifier})*`;
+
+  // `Louvain <: CommunityDetectionAlgorithm`, `<: CommunityGraph`
+  const subtype_syntax = new RegExp(`^(?:(${qualified})(?:\\{.*\\})?\\s*)?<:\\s*(${qualified})`);
+  // `compute(::Louvain`, `compute(algo::FastLPA, g)`, `generate(structure::ChainedCliques)::SimpleGraph`
+  const signature_syntax = new RegExp(`^(${qualified})\\s*\\((.*?)(?:\\)(?:::\\s*(.+))?)?$`);
+  const qualified_syntax = new RegExp(`^${qualified}$`);
+
+  /**
+   * Split a (possibly qualified) name into its module path and the name itself
+   *
+   * @param {string} name
+   * @returns {{module: string, name: string}}
+   */
+  function split_name(name) {
+    let at = name.lastIndexOf(".");
+    return { module: name.slice(0, Math.max(at, 0)), name: name.slice(at + 1) };
+  }
+
+  /**
+   * The types of the (positional) arguments of a signature, null where none is given.
+   * Type parameters are dropped, so that `Vector{Tuple{Int,Int}}` becomes `Vector`.
+   *
+   * @param {string} args e.g. `algo::FastLPA, edge_list::Vector{Tuple{Int,Int}}`
+   * @returns (string|null)[]
+   */
+  function argument_types(args) {
+    let parts = [];
+    let depth = 0;
+    let current = "";
+    for (let c of args.split(";")[0]) {
+      if ("({[".includes(c)) depth++;
+      if (")}]".includes(c)) depth--;
+      if (c === "," && depth === 0) {
+        parts.push(current);
+        current = "";
+      } else {
+        current += c;
+      }
+    }
+    parts.push(current);
+
+    return parts
+      .map((x) => x.split("=")[0].trim())
+      .filter((x) => x)
+      .map((x) => {
+        let at = x.indexOf("::");
+        return at === -1 ? null : x.slice(at + 2).split("{")[0].trim() || null;
+      });
+  }
+
+  /**
+   * Parse the Julia-ish syntax a query may use. Queries in plain words come back as
+   * `kind: "text"`; otherwise the parts of the query are returned along with the words
+   * to look up in the index, since the tokenizer cannot make sense of e.g. `compute(::Louvain`.
+   *
+   * @param {string} query
+   * @returns {{kind: string, terms: string, module: string, name: string, arg_types: (string|null)[], supertype: string}}
+   */
+  function parse_query(query) {
+    let q = query.trim();
+    let parsed = { kind: "text", terms: query, module: "", name: "", arg_types: [], supertype: "" };
+    let m;
+
+    if ((m = subtype_syntax.exec(q)) !== null) {
+      Object.assign(parsed, m[1] ? split_name(m[1]) : {}, {
+        kind: "subtype",
+        supertype: split_name(m[2]).name,
+      });
+    } else if ((m = signature_syntax.exec(q)) !== null) {
+      Object.assign(parsed, split_name(m[1]), {
+        kind: "signature",
+        arg_types: argument_types(m[2]),
+      });
+    } else if (qualified_syntax.test(q)) {
+      Object.assign(parsed, split_name(q), { kind: "name" });
+    } else {
+      return parsed;
+    }
+
+    parsed.terms = [parsed.module, parsed.name, ...parsed.arg_types, parsed.supertype]
+      .filter((x) => x)
+      .join(" ");
+    return parsed;
+  }
+
+  /**
+   * The signatures a docstring starts its sections with, e.g.
+   * `compute(algo::FastLPA, g::SimpleGraph)` or `Louvain <: CommunityDetectionAlgorithm`.
+   * Functions with several documented methods have one per method.
+   *
+   * @param {string} text
+   * @returns {{text: string, name: string, arg_types: (string|null)[], supertype: string}[]}
+   */
+  function docstring_signatures(text) {
+    let signatures = [];
+    text.split(/\n\n+/).forEach((paragraph) => {
+      let p = paragraph.trim();
+      let m;
+      if ((m = subtype_syntax.exec(p)) !== null && m[1]) {
+        signatures.push({
+          text: p,
+          name: split_name(m[1]).name,
+          arg_types: [],
+          supertype: split_name(m[2]).name,
+        });
+      } else if (
+        (m = signature_syntax.exec(p)) !== null &&
+        (p.endsWith(")") || m[3] !== undefined)
+      ) {
+        signatures.push({
+          text: p,
+          name: split_name(m[1]).name,
+          arg_types: argument_types(m[2]),
+          supertype: "",
+        });
+      }
+    });
+    return signatures;
+  }
+
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  /**
+   * How well a docstring matches a parsed query: 2 if its title or one of its signatures
+   * matches exactly, 1 if only the name matches, 0 otherwise. The signatures are those of
+   * the whole docstring, which records() stores with each of its records. A matching
+   * signature is stored in `result.signature`, so that the right method can be shown.
+   *
+   * @param {object} result
+   * @param {object} parsed see parse_query
+   * @returns number
+   */
+  function docstring_match(result, parsed) {
+    if (["page", "section"].includes(result.category)) return 0;
+
+    let title = split_name(result.title);
+    if (parsed.name && !same(title.name, parsed.name)) return 0;
+    if (parsed.module && !same(title.module, parsed.module)) return 0;
+
+    let signatures = docstring_signatures(result.signatures.join("\n\n"));
+
+    if (parsed.kind === "name") {
+      return 2;
+    } else if (parsed.kind === "subtype") {
+      let signature = signatures.find((x) => x.supertype && same(x.supertype, parsed.supertype));
+      if (signature === undefined) return parsed.name ? 1 : 0;
+      result.signature = signature.text;
+      return 2;
+    } else {
+      let signature = signatures.find(
+        (x) =>
+          same(x.name, parsed.name) &&
+          parsed.arg_types.length <= x.arg_types.length &&
+          parsed.arg_types.every((type, i) => type === null || (x.arg_types[i] && same(x.arg_types[i], type)))
+      );
+      if (signature === undefined) return 1;
+      result.signature = signature.text;
+      return 2;
+    }
+  }
+
+  /**
+   * Whether a result is the record of the method that matched, which comes before the
+   * other records of its docstring
+   *
+   * @param {object} result
+   * @returns number 1 or 0
+   */
+  function holds_signature(result) {
+    return result.signature !== undefined && result.text.startsWith(result.signature) ? 1 : 0;
+  }
+
+  /**
+   * Run a search request. Requests are plain objects (so that they can be posted to a
+   * worker), with the query, the categories to restrict the results to, if any, and the
+   * ranking profile (see ranking_profile). Docstrings that match Julia syntax in the query
+   * (see parse_query) come first. With `debug` set, each result gets the parts its score
+   * is made of in `result.debug`.
+   *
+   * @param {MiniSearch} index
+   * @param {{query: string, categories: string[], ranking: object, debug: boolean}} request
+   * @returns object[] minisearch results
+   */
+  function search(index, request) {
+    let profile = ranking_profile(request.ranking);
+    let parsed = parse_query(request.query);
+    let words = parsed.terms.toLowerCase().split(/[\s\-\.]+/);
+
+    let results = index.search(parsed.terms, {
+      boost: profile.boost,
+      fuzzy: fuzziness(profile),
+      // The last word may not have been typed completely yet
+      prefix: (term, i, terms) => profile.prefix && i === terms.length - 1,
+      filter: (result) =>
+        // Filtering results
+        request.categories.length === 0 || request.categories.includes(result.category),
+    });
+    results.forEach((result) => {
+      result.title = result.heading;
+    });
+
+    results = results.filter((result) => {
+      let category = profile.category_boost[result.category] ?? 1;
+      let identifier =
+        !["page", "section"].includes(result.category) &&
+        words.includes(split_name(result.title).name.toLowerCase())
+          ? profile.exact_identifier
+          : 1;
+
+      if (request.debug) {
+        result.debug = {
+          score: result.score,
+          match: result.match,
+          category: category,
+          identifier: identifier,
+        };
+      }
+      result.score *= category * identifier;
+      return result.score >= profile.min_score;
+    });
+    results.sort((a, b) => b.score - a.score);
+
+    if (parsed.kind === "text") return results;
+
+    results.forEach((result) => {
+      result.exact = docstring_match(result, parsed);
+    });
+    // Array.prototype.sort is stable, so the order by score is kept within each group
+    return results.sort((a, b) => b.exact - a.exact || holds_signature(b) - holds_signature(a));
+  }
+
+  /**
+   * Run a search request (see search) on the indexes of several versions of the docs.
+   * The results are tagged with the `version` of their index and ranked together.
+   *
+   * @param {{version: string|null, index: MiniSearch}[]} indexes
+   * @param {object} request
+   * @returns object[] minisearch results
+   */
+  function search_versions(indexes, request) {
+    let results = indexes.flatMap(({ version, index }) =>
+      search(index, request).map((result) => Object.assign(result, { version: version }))
+    );
+    return results.sort(
+      (a, b) =>
+        (b.exact || 0) - (a.exact || 0) || holds_signature(b) - holds_signature(a) || b.score - a.score
+    );
+  }
+
+  /**
+   * A regular expression that finds the given words in a text, as whole tokens (see
+   * tokenize and processTerm) and ignoring case. The word itself is the second group.
+   *
+   * @param {string[]} terms
+   * @returns RegExp
+   */
+  function term_pattern(terms) {
+    // Longest first, so that the alternation prefers e.g. `compute!` over `compute`
+    let alternatives = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|");
+    return new RegExp(`(^|[^a-zA-Z0-9@!])(${alternatives})(?![a-zA-Z0-9@!])`, "gi");
+  }
+
+  /**
+   * Complete the last word of a partially typed query. Documented identifiers (e.g.
+   * `FastLPA`, `draw_communities`) come first, spelled as in the docs; then the terms of
+   * the index suggested by minisearch, most relevant first.
+   *
+   * @param {MiniSearch} index
+   * @param {{query: string, identifiers: string[], limit: number}} request
+   * @returns string[]
+   */
+  function suggest(index, request) {
+    let words = request.query.trimStart().split(/\s+/);
+    let last = words.pop();
+    if (!last) return [];
+
+    let identifiers = request.identifiers
+      .filter((x) => x.toLowerCase().startsWith(last.toLowerCase()))
+      .sort((a, b) => a.length - b.length);
+
+    let scores = new Map();
+    index
+      .autoSuggest(last, { prefix: true, fuzzy: 0.2, boost: { title: 100 } })
+      .forEach((x) => {
+        x.terms
+          // Terms of the text may still hold punctuation, e.g. `draw_communities(g`
+          .filter((term) => /^[\w@!]+$/.test(term))
+          .forEach((term) => scores.set(term, (scores.get(term) || 0) + x.score));
+      });
+    let terms = [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a));
+
+    let seen = new Set();
+    return [...identifiers, ...terms]
+      .filter((x) => {
+        let key = x.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, request.limit)
+      .map((x) => words.map((word) => word + " ").join("") + x);
+  }
+
+  return {
+    options: options,
+    ranking_profile: ranking_profile,
+    fuzziness: fuzziness,
+    records: records,
+    paragraph_slug: paragraph_slug,
+    find_paragraph: find_paragraph,
+    parse_search_index: parse_search_index,
+    docstring_titles: docstring_titles,
+    create: create,
+    load: load,
+    search: search,
+    search_versions: search_versions,
+    suggest: suggest,
+    parse_query: parse_query,
+    term_pattern: term_pattern,
+  };
+});
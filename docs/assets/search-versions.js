@@ -0,0 +1,181 @@
+// The other published versions of the docs (DOC_VERSIONS in ../versions.js), which the
+// search of documenter.js can include on request (as the RequireJS module
+// "search-versions"). Whether it does is kept in localStorage.
+//
+// Versions are compared like warner.js compares them, which is loaded with a plain <script>
+// tag before RequireJS and provides the global DocumenterWarner. Should it be missing,
+// the simpler comparison below is used instead.
+(function (root, factory) {
+  if (typeof define === "function" && define.amd) {
+    define([], function () {
+      return factory(root.DocumenterWarner);
+    });
+  } else if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./warner.js").DocumenterWarner);
+  } else {
+    root.DocumenterSearchVersions = factory(root.DocumenterWarner);
+  }
+})(this, function (warner) {
+  const key = "documenter-search-all-versions";
+  // What the reader chose on this page, which holds even if it could not be stored
+  let chosen = null;
+  // Documenter names the folders of releases like v0.2.1, v0.2 (with deploydocs' "v#.#")
+  // or v1.0.0-rc1
+  const version_pattern = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+  /**
+   * @param {string} version e.g. "v0.2.1" or "v1.0.0-rc1"
+   * @returns object|null { major, minor, patch, prerelease } with `prerelease` the
+   *   identifiers after the "-" (empty for releases), or null for names like "dev"
+   */
+  function parse_version(version) {
+    let match = version_pattern.exec(version);
+    if (match === null) return null;
+    return {
+      major: Number(match[1]),
+      minor: Number(match[2] || 0),
+      patch: Number(match[3] || 0),
+      prerelease: match[4] === undefined ? [] : match[4].split("."),
+    };
+  }
+
+  /**
+   * Compare two numbered versions, for sorting them from oldest to newest. Pre-releases
+   * come before their release, and are compared as strings among each other.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns number
+   */
+  function compare_versions(a, b) {
+    let x = parse_version(a);
+    let y = parse_version(b);
+    let release = x.major - y.major || x.minor - y.minor || x.patch - y.patch;
+    if (release !== 0) return release;
+    if (x.prerelease.length === 0 || y.prerelease.length === 0) {
+      return y.prerelease.length - x.prerelease.length;
+    }
+    let p = x.prerelease.join(".");
+    let q = y.prerelease.join(".");
+    return p < q ? -1 : p > q ? 1 : 0;
+  }
+
+  const versions =
+    warner !== undefined && typeof warner.compare_versions === "function"
+      ? warner
+      : { parse_version: parse_version, compare_versions: compare_versions };
+
+  /**
+   * @returns string|null the version being viewed, from siteinfo.js
+   */
+  function current() {
+    return typeof DOCUMENTER_CURRENT_VERSION === "string" ? DOCUMENTER_CURRENT_VERSION : null;
+  }
+
+  /**
+   * @param {string} version
+   * @returns number how many parts a version number has, e.g. 2 for v0.2
+   */
+  function parts(version) {
+    return version.split(/[-+]/)[0].split(".").length;
+  }
+
+  /**
+   * Whether `alias` names the same docs as `version`, as precisely or less precisely.
+   * deploydocs links a folder like v0.2 (its "v#.#") to the newest release of v0.2, which
+   * is taken to be any v0.2.x that is published as well.
+   *
+   * @param {string} alias e.g. v0.2
+   * @param {string} version e.g. v0.2.1
+   * @returns boolean
+   */
+  function same_release(alias, version) {
+    let a = versions.parse_version(alias);
+    let b = versions.parse_version(version);
+    if (a === null || b === null || parts(alias) > parts(version)) return false;
+    if (parts(alias) === parts(version)) return versions.compare_versions(alias, version) === 0;
+    if (a.prerelease.length > 0 || b.prerelease.length > 0) return false;
+    let x = [a.major, a.minor, a.patch];
+    let y = [b.major, b.minor, b.patch];
+    return x.slice(0, parts(alias)).every((n, i) => n === y[i]);
+  }
+
+  return {
+    current: current,
+    /**
+     * The versions other than the current one, in the order of the version selector. The
+     * aliases of a version are left out, so that its results are not found twice: the
+     * stable docs (DOCUMENTER_STABLE) are one of the numbered versions, and v0.2 is v0.2.1
+     * if that is the current version or published too. These globals come from scripts
+     * loaded after this one, so they are looked up when needed.
+     *
+     * @returns string[]
+     */
+    others: function () {
+      if (typeof DOC_VERSIONS === "undefined" || !Array.isArray(DOC_VERSIONS)) return [];
+      let stable = typeof DOCUMENTER_STABLE === "string" ? DOCUMENTER_STABLE : "stable";
+      let numbered = DOC_VERSIONS.filter((x) => versions.parse_version(x) !== null);
+      return DOC_VERSIONS.filter((x, i) => {
+        if (x === current()) return false;
+        if (x === stable && numbered.length > 0) return false;
+        if (current() !== null && same_release(x, current())) return false;
+        // Of two names for the same docs, the more precise one is kept, else the first
+        return !DOC_VERSIONS.some(
+          (y, j) => j !== i && same_release(x, y) && (parts(x) < parts(y) || j < i)
+        );
+      });
+    },
+    /**
+     * @param {string} version
+     * @returns string the URL of the root of a version of the docs, ending in a slash
+     */
+    url: function (version) {
+      return documenterBaseURL + "/../" + version + "/";
+    },
+    /**
+     * @returns boolean whether to search all versions
+     */
+    enabled: function () {
+      if (chosen !== null) return chosen;
+      return typeof window.localStorage !== "undefined" && window.localStorage.getItem(key) === "true";
+    },
+    /**
+     * @param {boolean} enabled
+     */
+    enable: function (enabled) {
+      chosen = enabled;
+      if (typeof window.localStorage === "undefined") return;
+      try {
+        if (enabled) {
+          window.localStorage.setItem(key, "true");
+        } else {
+          window.localStorage.removeItem(key);
+        }
+      } catch (err) {
+        // Storage is full or disabled, so the choice only lasts for this page
+      }
+    },
+    /**
+     * In which numbered version a docstring first appeared and in which it was removed,
+     * if any. Aliases like `stable` and `dev` are left out.
+     *
+     * @param {string} title e.g. `GraphCommunities.FastLPA`
+     * @param {Map<string, Set<string>>} titles the docstring titles of each version
+     * @returns {{added: string|null, removed: string|null}}
+     */
+    lifecycle: function (title, titles) {
+      let numbered = [...titles.keys()]
+        .filter((x) => versions.parse_version(x) !== null)
+        .sort(versions.compare_versions);
+      let present = numbered.filter((x) => titles.get(x).has(title));
+      if (!present.length) return { added: null, removed: null };
+
+      let first = numbered.indexOf(present[0]);
+      let last = numbered.indexOf(present[present.length - 1]);
+      return {
+        added: first > 0 ? numbered[first] : null,
+        removed: last < numbered.length - 1 ? numbered[last + 1] : null,
+      };
+    },
+  };
+});
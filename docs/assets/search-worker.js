@@ -0,0 +1,91 @@
+// Runs the search of the docs in a Web Worker, so that neither loading the index nor
+// querying it blocks the page. documenter.js starts this worker the first time the search
+// modal is opened. Every message carries an `id`, which is echoed in the reply:
+//
+//  - { id, type: "load", index_url, docs_url, count, ranking } loads the index serialized
+//    by build_search_index.js from `index_url`. If that is missing or out of date (it must
+//    be made from `count` entries), or if the ranking profile replaces the stop words, the index
+//    is built from search_index.js at `docs_url`. Replies { id } once the index is ready.
+//  - { id, type: "load_version", version, docs_url, ranking } builds the index of another
+//    version of the docs from its search_index.js at `docs_url`. Replies
+//    { id, titles } with the titles of its docstrings.
+//  - { id, type: "search", request } runs DocumenterSearchEngine.search_versions on the
+//    index and on those of the versions in `request.versions`, and replies { id, results }.
+//  - { id, type: "suggest", request } runs DocumenterSearchEngine.suggest and replies
+//    { id, suggestions }.
+//
+// Failures are replied as { id, error } with the error message.
+importScripts("vendor/minisearch/index.js", "search-engine.js");
+
+let index = null;
+// The indexes of other versions of the docs, by version
+let versions = new Map();
+
+self.addEventListener("message", function (event) {
+  let message = event.data;
+
+  handle(message).then(
+    (reply) => self.postMessage(Object.assign({ id: message.id }, reply)),
+    (err) => self.postMessage({ id: message.id, error: String(err) })
+  );
+});
+
+/**
+ * Handle a message from the page
+ *
+ * @param {object} message
+ * @returns Promise<object> the reply, without its id
+ */
+async function handle(message) {
+  if (message.type === "load") {
+    index = await load_index(message);
+    return {};
+  } else if (message.type === "load_version") {
+    let response = await fetch(message.docs_url);
+    if (!response.ok) throw new Error(`Could not load ${message.docs_url}`);
+    let docs = DocumenterSearchEngine.parse_search_index(await response.text());
+    let profile = DocumenterSearchEngine.ranking_profile(message.ranking);
+    versions.set(message.version, DocumenterSearchEngine.create(MiniSearch, docs, profile));
+    return { titles: DocumenterSearchEngine.docstring_titles(docs) };
+  } else if (message.type === "search") {
+    if (index === null) throw new Error("The search index is not loaded");
+    let indexes = [{ version: null, index: index }];
+    (message.request.versions || []).forEach((version) => {
+      if (versions.has(version)) indexes.push({ version: version, index: versions.get(version) });
+    });
+    return { results: DocumenterSearchEngine.search_versions(indexes, message.request) };
+  } else if (message.type === "suggest") {
+    if (index === null) throw new Error("The search index is not loaded");
+    return { suggestions: DocumenterSearchEngine.suggest(index, message.request) };
+  } else {
+    throw new Error(`Unknown message type: ${message.type}`);
+  }
+}
+
+/**
+ * Load the serialized index, falling back to building it from search_index.js
+ *
+ * @param {object} message
+ * @returns Promise<MiniSearch>
+ */
+async function load_index(message) {
+  let profile = DocumenterSearchEngine.ranking_profile(message.ranking);
+
+  // The serialized index is made with the default stop words
+  if (!profile.stop_words) {
+    try {
+      let response = await fetch(message.index_url);
+      if (response.ok) {
+        let js = await response.json();
+        if (js.entries === message.count) {
+          return DocumenterSearchEngine.load(MiniSearch, js, profile);
+        }
+      }
+    } catch (err) {
+      // Not available (yet), so we build the index ourselves below
+    }
+  }
+
+  importScripts(message.docs_url); // defines documenterSearchIndex
+  return DocumenterSearchEngine.create(MiniSearch, documenterSearchIndex["docs"], profile);
+}
@@ -1,5 +1,101 @@
+// A custom theme is one of the theme style sheets (its `base`) with some of its colors
+// replaced. It is picked as the theme "documenter-custom" and stored as JSON in
+// localStorage under "documenter-custom-theme", e.g.
+//
+//     { "name": "Solarized", "base": "documenter-light",
+//       "colors": { "background": "#fdf6e3", "text": "#657b83", "keyword": "#859900" } }
+//
+// These are the colors that can be replaced, with the rules that replace them ($ is the
+// color). They have to beat the rules of every theme, hence the !important.
+var custom_theme_rules = {
+  background:
+    "html, #documenter .docs-main header.docs-navbar, #documenter .docs-sidebar ul.docs-menu li.is-active, #documenter .docs-sidebar ul.docs-menu li.is-active .tocitem { background-color: $ !important; }",
+  sidebar:
+    "#documenter .docs-sidebar, #documenter .docs-sidebar ul.docs-menu .tocitem { background-color: $ !important; }",
+  text: "body, .content h1, .content h2, .content h3, .content h4, .content h5, .content h6, strong, #documenter .docs-sidebar, #documenter .docs-sidebar ul.docs-menu .tocitem { color: $ !important; }",
+  link: ".content a { color: $ !important; }",
+  code_background: "pre, :not(pre) > code { background-color: $ !important; }",
+  code_text: "pre, code, .hljs, .hljs-subst { color: $ !important; }",
+  keyword: ".hljs-keyword, .hljs-selector-tag { color: $ !important; }",
+  string: ".hljs-string, .hljs-symbol, .hljs-bullet, .hljs-addition { color: $ !important; }",
+  comment: ".hljs-comment, .hljs-quote { color: $ !important; }",
+  number: ".hljs-number, .hljs-literal, .hljs-built_in, .hljs-type { color: $ !important; }",
+  function: ".hljs-title, .hljs-section { color: $ !important; }",
+};
+
+/**
+ * Check a custom theme, e.g. one that is imported. Colors that are not known or are not
+ * of the form #rrggbb are dropped.
+ *
+ * @param {*} custom
+ * @returns object the custom theme, or null if it is not one
+ */
+function valid_custom_theme(custom) {
+  if (custom === null || typeof custom !== "object") return null;
+  if (typeof custom.base !== "string" || custom.base === "documenter-custom") return null;
+  var colors = {};
+  for (var key in custom_theme_rules) {
+    var color = custom.colors && custom.colors[key];
+    if (typeof color === "string" && /^#[0-9a-fA-F]{6}$/.test(color)) colors[key] = color;
+  }
+  return {
+    name: typeof custom.name === "string" ? custom.name : "Custom",
+    base: custom.base,
+    colors: colors,
+  };
+}
+
+/**
+ * Read the custom theme from localStorage
+ *
+ * @returns object the custom theme, or null if there is none
+ */
+function read_custom_theme() {
+  if (window.localStorage == null) return null;
+  try {
+    return valid_custom_theme(JSON.parse(window.localStorage.getItem("documenter-custom-theme")));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Show the colors of a custom theme on top of its base theme, or stop doing so
+ *
+ * @param {object} custom the custom theme, or null
+ */
+function apply_custom_theme(custom) {
+  var style = document.getElementById("documenter-custom-theme");
+  if (style === null) {
+    style = document.createElement("style");
+    style.id = "documenter-custom-theme";
+    document.head.appendChild(style);
+  }
+  var css = "";
+  if (custom !== null) {
+    for (var key in custom.colors) {
+      var rule = custom_theme_rules[key];
+      // Every selector of the rule only applies with the custom theme
+      var selectors = rule.slice(0, rule.indexOf(" {")).split(", ").map(function (selector) {
+        return selector === "html"
+          ? "html.documenter-custom-theme"
+          : "html.documenter-custom-theme " + selector;
+      });
+      css += selectors.join(", ") + rule.slice(rule.indexOf(" {")).replace("$", custom.colors[key]) + "\n";
+    }
+  }
+  style.textContent = css;
+  document.documentElement.classList.toggle("documenter-custom-theme", custom !== null);
+}
+
 // Small function to quickly swap out themes. Gets put into the <head> tag..
-function set_theme_from_local_storage() {
+//
+// Returns the name of the theme that is now active, or null if there is none. Other
+// scripts should go through the DocumenterTheme API below instead of calling this.
+//
+// A custom theme passed as `preview` is shown instead of the picked theme, which is what
+// the custom theme editor in the settings does while colors are being changed.
+function set_theme_from_local_storage(preview) {
   // Initialize the theme to null, which means default
   var theme = null;
   // If the browser supports the localstorage and is not disabled then try to get the
@@ -9,9 +105,18 @@ function set_theme_from_local_storage() {
     // theme.
     theme = window.localStorage.getItem("documenter-theme");
   }
+  // A custom theme is shown with the style sheet of its base theme
+  var custom = preview || (theme === "documenter-custom" ? read_custom_theme() : null);
+  if (custom) {
+    theme = custom.base;
+  } else if (theme === "documenter-custom") {
+    theme = null;
+  }
   // Check if the users preference is for dark color scheme
   var darkPreference =
     window.matchMedia("(prefers-color-scheme: dark)").matches === true;
+  // and whether they asked the OS for more contrast
+  var contrastPreference = window.matchMedia("(prefers-contrast: more)").matches === true;
   // Initialize a few variables for the loop:
   //
   //  - active: will contain the index of the theme that should be active. Note that there
@@ -25,6 +130,7 @@ function set_theme_from_local_storage() {
   var disabled = [];
   var primaryLightTheme = null;
   var primaryDarkTheme = null;
+  var highContrastTheme = null;
   for (var i = 0; i < document.styleSheets.length; i++) {
     var ss = document.styleSheets[i];
     // The <link> tag of each style sheet is expected to have a data-theme-name attribute
@@ -41,33 +147,43 @@ function set_theme_from_local_storage() {
     if (ss.ownerNode.getAttribute("data-theme-primary-dark") !== null) {
       primaryDarkTheme = themename;
     }
+    // The high contrast theme (data-theme-high-contrast) is used if the OS asks for it
+    if (ss.ownerNode.getAttribute("data-theme-high-contrast") !== null) {
+      highContrastTheme = themename;
+    }
     // If we find a matching theme (and it's not the default), we'll set active to non-null
     if (themename === theme) active = i;
     // Store the style sheets of inactive themes so that we could disable them
     if (themename !== theme) disabled.push(ss);
   }
+  // Other classes of <html> (e.g. of reader preferences) are left alone
+  var html_classes = document.getElementsByTagName("html")[0].classList;
+  for (var i = html_classes.length - 1; i >= 0; i--) {
+    if (html_classes[i].indexOf("theme--") === 0) html_classes.remove(html_classes[i]);
+  }
   var activeTheme = null;
   if (active !== null) {
     // If we did find an active theme, we'll (1) add the theme--$(theme) class to <html>
-    document.getElementsByTagName("html")[0].className = "theme--" + theme;
+    html_classes.add("theme--" + theme);
     activeTheme = theme;
   } else {
     // If we did _not_ find an active theme, then we need to fall back to the primary theme
-    // which can either be dark or light, depending on the user's OS preference.
+    // which can either be dark or light, depending on the user's OS preference, unless
+    // the OS asks for more contrast and there is a high contrast theme.
     var activeTheme = darkPreference ? primaryDarkTheme : primaryLightTheme;
+    if (contrastPreference && highContrastTheme !== null) {
+      activeTheme = highContrastTheme;
+    }
     // In case it somehow happens that the relevant primary theme was not found in the
     // preceding loop, we abort without doing anything.
     if (activeTheme === null) {
       console.error("Unable to determine primary theme.");
-      return;
+      return null;
     }
     // When switching to the primary light theme, then we must not have a class name
     // for the <html> tag. That's only for non-primary or the primary dark theme.
-    if (darkPreference) {
-      document.getElementsByTagName("html")[0].className =
-        "theme--" + activeTheme;
-    } else {
-      document.getElementsByTagName("html")[0].className = "";
+    if (activeTheme !== primaryLightTheme) {
+      html_classes.add("theme--" + activeTheme);
     }
   }
   for (var i = 0; i < document.styleSheets.length; i++) {
@@ -80,5 +196,122 @@ function set_theme_from_local_storage() {
     // we'll disable all the stylesheets, except for the active one
     ss.disabled = !(themename == activeTheme);
   }
+  apply_custom_theme(active !== null ? custom : null);
+  return active !== null && custom ? "documenter-custom" : activeTheme;
 }
-set_theme_from_local_storage();
+
+// The theme manager. It keeps the theme in line with the OS preference (while no theme is
+// picked) and with the theme picked in other tabs, and lets other scripts follow and
+// change the theme through window.DocumenterTheme:
+//
+//  - getTheme() returns the name of the active theme, e.g. "documenter-dark"
+//  - setTheme(name) switches to a theme, or back to following the OS with "auto"
+//  - onThemeChange(callback) calls callback(name) whenever the active theme changes (or
+//    the colors of the custom theme do), and returns a function that stops doing so
+//  - getCustomTheme() returns the stored custom theme, or null
+//  - setCustomTheme(custom) checks and stores a custom theme, which is then picked as
+//    "documenter-custom", or removes it if custom is null
+//  - previewCustomTheme(custom) shows a custom theme without storing it, until it is
+//    called with null
+//
+// Since this runs in the <head>, the right theme is in place before anything is shown.
+window.DocumenterTheme = (function () {
+  var active = set_theme_from_local_storage();
+  var listeners = [];
+  var preview = null;
+
+  // Colors would otherwise fade from the old theme to the new one, wherever a style sheet
+  // sets a transition
+  var switching = document.createElement("style");
+  switching.textContent =
+    ".documenter-theme-switching, .documenter-theme-switching * { transition: none !important; }";
+  document.head.appendChild(switching);
+
+  function apply() {
+    var root = document.documentElement;
+    root.classList.add("documenter-theme-switching");
+    var theme = set_theme_from_local_storage(preview);
+    // Reading a style forces the new theme to be applied while transitions are off
+    window.getComputedStyle(root).color;
+    setTimeout(function () {
+      root.classList.remove("documenter-theme-switching");
+    }, 0);
+
+    if (theme === active && theme !== "documenter-custom") return;
+    active = theme;
+    listeners.slice().forEach(function (callback) {
+      try {
+        callback(theme);
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+
+  var on_media_change = function () {
+    if (window.localStorage == null || window.localStorage.getItem("documenter-theme") === null) {
+      apply();
+    }
+  };
+  ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"].forEach(function (query) {
+    var media = window.matchMedia(query);
+    // Safari before 14 only has addListener
+    if (typeof media.addEventListener === "function") {
+      media.addEventListener("change", on_media_change);
+    } else if (typeof media.addListener === "function") {
+      media.addListener(on_media_change);
+    }
+  });
+
+  // Fires when another tab changes localStorage. A null key means it was cleared.
+  window.addEventListener("storage", function (event) {
+    if (
+      event.key === "documenter-theme" ||
+      event.key === "documenter-custom-theme" ||
+      event.key === null
+    ) {
+      apply();
+    }
+  });
+
+  return {
+    getTheme: function () {
+      return active;
+    },
+    setTheme: function (name) {
+      if (window.localStorage != null) {
+        if (name === "auto" || name === null) {
+          window.localStorage.removeItem("documenter-theme");
+        } else {
+          window.localStorage.setItem("documenter-theme", name);
+        }
+      }
+      apply();
+    },
+    getCustomTheme: function () {
+      return read_custom_theme();
+    },
+    setCustomTheme: function (custom) {
+      if (window.localStorage == null) return;
+      if (custom === null) {
+        window.localStorage.removeItem("documenter-custom-theme");
+      } else {
+        custom = valid_custom_theme(custom);
+        if (custom === null) throw new Error("Not a custom theme");
+        window.localStorage.setItem("documenter-custom-theme", JSON.stringify(custom));
+      }
+      apply();
+    },
+    previewCustomTheme: function (custom) {
+      preview = custom === null ? null : valid_custom_theme(custom);
+      apply();
+    },
+    onThemeChange: function (callback) {
+      listeners.push(callback);
+      return function () {
+        var i = listeners.indexOf(callback);
+        if (i !== -1) listeners.splice(i, 1);
+      };
+    },
+  };
+})();
@@ -1,52 +1,235 @@
-function maybeAddWarning() {
-  // DOCUMENTER_NEWEST is defined in versions.js, DOCUMENTER_CURRENT_VERSION and DOCUMENTER_STABLE
-  // in siteinfo.js.
-  // If either of these are undefined something went horribly wrong, so we abort.
-  if (
-    window.DOCUMENTER_NEWEST === undefined ||
-    window.DOCUMENTER_CURRENT_VERSION === undefined ||
-    window.DOCUMENTER_STABLE === undefined
-  ) {
-    return;
-  }
-
-  // Current version is not a version number, so we can't tell if it's the newest version. Abort.
-  if (!/v(\d+\.)*\d+/.test(window.DOCUMENTER_CURRENT_VERSION)) {
-    return;
-  }
-
-  // Current version is newest version, so no need to add a warning.
-  if (window.DOCUMENTER_NEWEST === window.DOCUMENTER_CURRENT_VERSION) {
-    return;
-  }
-
-  // Add a noindex meta tag (unless one exists) so that search engines don't index this version of the docs.
-  if (document.body.querySelector('meta[name="robots"]') === null) {
-    const meta = document.createElement("meta");
-    meta.name = "robots";
-    meta.content = "noindex";
-
-    document.getElementsByTagName("head")[0].appendChild(meta);
-  }
-
-  const div = document.createElement("div");
-  div.classList.add("outdated-warning-overlay");
-  const closer = document.createElement("button");
-  closer.classList.add("outdated-warning-closer", "delete");
-  closer.addEventListener("click", function () {
-    document.body.removeChild(div);
-  });
-  const href = window.documenterBaseURL + "/../" + window.DOCUMENTER_STABLE;
-  div.innerHTML =
-    'This documentation is not for the latest stable release, but for either the development version or an older release.<br><a href="' +
-    href +
-    '">Click here to go to the documentation for the latest stable release.</a>';
-  div.appendChild(closer);
-  document.body.appendChild(div);
-}
-
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", maybeAddWarning);
-} else {
-  maybeAddWarning();
-}
+// The banner on the pages of every version of the docs other than the latest stable
+// release. For the development version and pre-releases it says that what they describe
+// may not be released yet, and for older releases how many releases behind they are. It
+// links to the same page in the stable docs. Closing the banner hides it on all pages of
+// that version until a newer release comes out.
+//
+// The version comparisons are also available as the global DocumenterWarner, mostly for
+// the tests in docs/test.
+(function (root) {
+  // Documenter names the folders of releases like v0.2.1, v0.2 (with deploy_docs'
+  // "v#.#") or v1.0.0-rc1
+  const version_pattern = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+  const storage_key = "documenter-outdated-warning";
+
+  /**
+   * @param {string} version e.g. "v0.2.1" or "v1.0.0-rc1"
+   * @returns object|null { major, minor, patch, prerelease } with `prerelease` the
+   *   identifiers after the "-" (empty for releases), or null for names like "dev"
+   */
+  function parse_version(version) {
+    const match = version_pattern.exec(version);
+    if (match === null) return null;
+    return {
+      major: Number(match[1]),
+      minor: Number(match[2] || 0),
+      patch: Number(match[3] || 0),
+      prerelease: match[4] === undefined ? [] : match[4].split("."),
+    };
+  }
+
+  /**
+   * Compare two identifiers of pre-releases, like "rc" and "1": numbers come before other
+   * identifiers and are compared as numbers
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns number
+   */
+  function compare_identifiers(a, b) {
+    const x = /^\d+$/.test(a);
+    const y = /^\d+$/.test(b);
+    if (x && y) return Number(a) - Number(b);
+    if (x !== y) return x ? -1 : 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * Compare two versions in the order of semantic versioning, where v1.0.0-rc1 comes
+   * before v1.0.0 and build metadata is ignored
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns number negative if `a` is older than `b`, positive if it is newer, else 0
+   * @throws Error if one of them is not a version number
+   */
+  function compare_versions(a, b) {
+    const x = parse_version(a);
+    const y = parse_version(b);
+    if (x === null || y === null) {
+      throw new Error(`Not a version number: ${x === null ? a : b}`);
+    }
+    const release = x.major - y.major || x.minor - y.minor || x.patch - y.patch;
+    if (release !== 0) return release;
+    // A release comes after its pre-releases
+    if (x.prerelease.length === 0 || y.prerelease.length === 0) {
+      return y.prerelease.length - x.prerelease.length;
+    }
+    for (let i = 0; i < Math.min(x.prerelease.length, y.prerelease.length); i++) {
+      const order = compare_identifiers(x.prerelease[i], y.prerelease[i]);
+      if (order !== 0) return order;
+    }
+    return x.prerelease.length - y.prerelease.length;
+  }
+
+  /**
+   * The releases in `versions` that are newer than `version`. Names like "stable" and
+   * "dev", pre-releases and the same release under two names (v0.2 and v0.2.0) are left
+   * out.
+   *
+   * @param {string} version
+   * @param {string[]} versions e.g. DOC_VERSIONS of versions.js
+   * @returns string[]
+   */
+  function newer_releases(version, versions) {
+    const newer = [];
+    versions.forEach(function (other) {
+      const parsed = parse_version(other);
+      if (parsed === null || parsed.prerelease.length > 0) return;
+      if (compare_versions(other, version) <= 0) return;
+      if (newer.some((x) => compare_versions(x, other) === 0)) return;
+      newer.push(other);
+    });
+    return newer;
+  }
+
+  /**
+   * How the version being viewed relates to the latest stable release
+   *
+   * @param {string} current e.g. DOCUMENTER_CURRENT_VERSION of siteinfo.js
+   * @param {string} newest the latest stable release, DOCUMENTER_NEWEST of versions.js
+   * @param {string[]} versions all versions of the docs, DOC_VERSIONS of versions.js
+   * @returns object|null { kind, behind } with `kind` one of "dev", "prerelease" and
+   *   "outdated" and `behind` the number of newer releases (for "outdated", if known), or
+   *   null if there is no need for a warning or no way to tell
+   */
+  function version_status(current, newest, versions) {
+    if (parse_version(newest) === null) return null;
+    const parsed = parse_version(current);
+    if (parsed === null) {
+      // Documenter's default name for the docs of the development branch
+      return current === "dev" ? { kind: "dev", behind: null } : null;
+    }
+    const order = compare_versions(current, newest);
+    if (order >= 0) {
+      return parsed.prerelease.length > 0 ? { kind: "prerelease", behind: null } : null;
+    }
+    const behind = newer_releases(current, versions).length;
+    return { kind: "outdated", behind: behind > 0 ? behind : null };
+  }
+
+  /**
+   * @returns object the latest stable release when the banner was closed, by version
+   */
+  function read_dismissed() {
+    if (typeof window.localStorage === "undefined") return {};
+    try {
+      const dismissed = JSON.parse(window.localStorage.getItem(storage_key));
+      return dismissed !== null && typeof dismissed === "object" ? dismissed : {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  /**
+   * @param {string} current
+   * @param {string} newest
+   */
+  function dismiss(current, newest) {
+    if (typeof window.localStorage === "undefined") return;
+    const dismissed = read_dismissed();
+    dismissed[current] = newest;
+    try {
+      window.localStorage.setItem(storage_key, JSON.stringify(dismissed));
+    } catch (err) {
+      // Storage is full or disabled, so the banner is only closed on this page
+    }
+  }
+
+  /**
+   * @returns string the URL of this page in the docs of the latest stable release
+   */
+  function stable_url() {
+    // documenterBaseURL is the root of this version, relative to the page
+    const base = new URL(window.documenterBaseURL + "/", window.location.href);
+    const page = window.location.href.startsWith(base.href)
+      ? window.location.href.slice(base.href.length)
+      : "";
+    return new URL("../" + window.DOCUMENTER_STABLE + "/" + page, base).href;
+  }
+
+  function maybeAddWarning() {
+    // DOCUMENTER_NEWEST and DOC_VERSIONS are defined in versions.js,
+    // DOCUMENTER_CURRENT_VERSION and DOCUMENTER_STABLE in siteinfo.js.
+    // If either of these are undefined something went horribly wrong, so we abort.
+    if (
+      window.DOCUMENTER_NEWEST === undefined ||
+      window.DOCUMENTER_CURRENT_VERSION === undefined ||
+      window.DOCUMENTER_STABLE === undefined
+    ) {
+      return;
+    }
+
+    const current = window.DOCUMENTER_CURRENT_VERSION;
+    const newest = window.DOCUMENTER_NEWEST;
+    const versions = Array.isArray(window.DOC_VERSIONS) ? window.DOC_VERSIONS : [];
+    const status = version_status(current, newest, versions);
+    if (status === null) return;
+
+    // Add a noindex meta tag (unless one exists) so that search engines don't index this version of the docs.
+    if (document.head.querySelector('meta[name="robots"]') === null) {
+      const meta = document.createElement("meta");
+      meta.name = "robots";
+      meta.content = "noindex";
+
+      document.head.appendChild(meta);
+    }
+
+    if (read_dismissed()[current] === newest) return;
+
+    // DocumenterHTML comes from html.js, which is loaded right before this file
+    const html = window.DocumenterHTML.html;
+    let message;
+    if (status.kind === "dev") {
+      message = html`This documentation is for the development version, which may describe changes that are not released yet. The latest stable release is ${newest}.`;
+    } else if (status.kind === "prerelease") {
+      message = html`This documentation is for the pre-release ${current}, which may still change before it is released. The latest stable release is ${newest}.`;
+    } else if (status.behind === null) {
+      message = html`This documentation is for ${current}, an older release. The latest stable release is ${newest}.`;
+    } else {
+      const releases = status.behind === 1 ? "release" : "releases";
+      message = html`This documentation is for ${current}, an older release that is ${status.behind} ${releases} behind the latest stable release ${newest}.`;
+    }
+
+    const div = document.createElement("div");
+    div.classList.add("outdated-warning-overlay");
+    const closer = document.createElement("button");
+    closer.classList.add("outdated-warning-closer", "delete");
+    closer.setAttribute("aria-label", "Close this warning for all pages of this version");
+    closer.addEventListener("click", function () {
+      document.body.removeChild(div);
+      dismiss(current, newest);
+    });
+    div.innerHTML = String(
+      html`${message}<br><a href="${stable_url()}">Go to this page in the documentation of the latest stable release.</a>`
+    );
+    div.appendChild(closer);
+    document.body.appendChild(div);
+  }
+
+  root.DocumenterWarner = {
+    parse_version: parse_version,
+    compare_versions: compare_versions,
+    newer_releases: newer_releases,
+    version_status: version_status,
+  };
+
+  // Loaded by the tests, outside of a browser
+  if (typeof document === "undefined") return;
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", maybeAddWarning);
+  } else {
+    maybeAddWarning();
+  }
+})(this);
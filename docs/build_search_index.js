@@ -0,0 +1,29 @@
+// Serializes the MiniSearch index of the docs ahead of time, so that the browser only has
+// to load it instead of indexing every entry of search_index.js (see assets/search-worker.js).
+// Called by make.jl after makedocs; it can also be run by hand:
+//
+//     node docs/build_search_index.js [directory with search_index.js]
+//
+// The directory defaults to the one of this script. The index is written next to
+// search_index.js as search_index.minisearch.json.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const MiniSearch = require("./assets/vendor/minisearch/index.js");
+const engine = require("./assets/search-engine.js");
+
+const dir = process.argv[2] || __dirname;
+
+// search_index.js is a script that defines `var documenterSearchIndex`
+const context = {};
+vm.runInNewContext(fs.readFileSync(path.join(dir, "search_index.js"), "utf8"), context);
+
+const docs = context.documenterSearchIndex["docs"];
+const index = engine.create(MiniSearch, docs);
+// Long entries are split into several records of the index, so the number of entries is
+// stored as well, to tell whether the index is up to date with search_index.js
+fs.writeFileSync(
+  path.join(dir, "search_index.minisearch.json"),
+  JSON.stringify(Object.assign(index.toJSON(), { entries: docs.length }))
+);
@@ -8,6 +8,12 @@ makedocs(
     checkdocs=:none,
 )
 
+# Serialize the search index ahead of time, so that the browser does not have to build it
+# (see assets/search-worker.js). Without Node.js it is built in the browser as before.
+if Sys.which("node") !== nothing
+    run(`node $(joinpath(@__DIR__, "build_search_index.js")) $(joinpath(@__DIR__, "build"))`)
+end
+
 # deploydocs(
 #     root = "GraphCommunities",
 #     target = "build",
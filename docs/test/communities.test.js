@@ -0,0 +1,110 @@
+// Tests for docs/assets/communities.js, the algorithms of the playground. They only need
+// Node.js (18 or later):
+//
+//     node --test docs/test/*.test.js
+//
+const test = require("node:test");
+const assert = require("node:assert");
+
+const communities = require("../assets/communities.js");
+
+// The last state of a run
+function run(name, g, options) {
+  let last = null;
+  for (const state of communities.algorithms[name](g, options)) last = state;
+  return last;
+}
+
+// The two clubs that the karate club split into
+const mr_hi = [1, 2, 3, 4, 5, 6, 7, 8, 11, 12, 13, 14, 17, 18, 20, 22];
+
+test("the karate club has 34 members and 78 friendships", () => {
+  const g = communities.karate_club();
+  assert.strictEqual(g.n, 34);
+  assert.strictEqual(g.edges.length, 78);
+});
+
+test("modularity of the split of the karate club", () => {
+  const g = communities.karate_club();
+  const labels = g.neighbors.map((_, v) => (mr_hi.includes(v + 1) ? 1 : 2));
+  assert.strictEqual(communities.modularity(g, labels).toFixed(4), "0.3715");
+  assert.strictEqual(communities.modularity(g, labels.map(() => 1)), 0);
+});
+
+test("Louvain finds the best known division of the karate club", () => {
+  const g = communities.karate_club();
+  const last = run("Louvain", g, { random: communities.random(1) });
+  assert.ok(last.done);
+  assert.ok(communities.modularity(g, last.labels) > 0.41);
+});
+
+test("chained cliques are the communities of label propagation", () => {
+  const g = communities.chained_cliques(4, 5);
+  for (const name of ["LabelPropagation", "FastLPA", "Louvain"]) {
+    const labels = run(name, g, { random: communities.random(1) }).labels;
+    const cliques = [0, 5, 10, 15].map((start) => new Set(labels.slice(start, start + 5)));
+    assert.ok(
+      cliques.every((clique) => clique.size === 1),
+      `${name}: ${labels}`
+    );
+  }
+});
+
+test("FastLPA is deterministic", () => {
+  const g = communities.karate_club();
+  assert.deepStrictEqual(run("FastLPA", g).labels, run("FastLPA", g).labels);
+});
+
+test("KClique leaves vertices outside triangles without community", () => {
+  const g = communities.karate_club();
+  const labels = run("KClique", g).labels;
+  // Member 10 is only friends with 3 and 34, who are no friends
+  assert.strictEqual(labels[9], null);
+  assert.notStrictEqual(labels[0], null);
+});
+
+test("PageRank scores add up to 1", () => {
+  const g = communities.karate_club();
+  const scores = run("PageRank", g).scores;
+  assert.strictEqual(scores.reduce((a, b) => a + b, 0).toFixed(6), "1.000000");
+  // The instructor and the president have the most friends
+  const top = scores.map((s, v) => [s, v + 1]).sort((a, b) => b[0] - a[0]);
+  assert.deepStrictEqual(top.slice(0, 2).map((x) => x[1]).sort(), [1, 34]);
+});
+
+test("ChainedCliques sizes are checked like generate does", () => {
+  assert.throws(() => communities.chained_cliques(0, 3), /The number of cliques need be at least one\./);
+  assert.throws(() => communities.chained_cliques(2, 2), /The size of each clique must be three or greater\./);
+  assert.throws(() => communities.chained_cliques(2.5, 3), /num_cliques must be an integer\./);
+});
+
+test("planted partitions have the extreme probabilities of their model", () => {
+  const g = communities.planted_partition(3, 4, 1, 0, communities.random(1));
+  assert.strictEqual(g.n, 12);
+  // Three cliques of four vertices
+  assert.strictEqual(g.edges.length, 18);
+  assert.ok(g.edges.every(([u, v]) => Math.ceil(u / 4) === Math.ceil(v / 4)));
+  assert.strictEqual(communities.planted_partition(2, 3, 0, 1, communities.random(1)).edges.length, 9);
+  assert.throws(() => communities.planted_partition(2, 0, 1, 0, Math.random), /nodes_per_community/);
+});
+
+test("graph_modularity only counts pairs of neighbors, like in Julia", () => {
+  // Two triangles joined by an edge: 7 edges, degrees 2, 2, 3, 3, 2, 2
+  const g = communities.graph(6, [[1, 2], [1, 3], [2, 3], [3, 4], [4, 5], [4, 6], [5, 6]]);
+  const labels = [1, 1, 1, 2, 2, 2];
+  // Both triangles, both directions of their edges
+  const q = (2 * 2 * (3 - (2 * 2 + 2 * 3 + 2 * 3) / 14)) / 14;
+  assert.strictEqual(communities.graph_modularity(g, labels).toFixed(10), q.toFixed(10));
+  assert.ok(communities.graph_modularity(g, labels) > communities.modularity(g, labels));
+  assert.ok(isNaN(communities.graph_modularity(communities.graph(2, []), [1, 1])));
+});
+
+test("partition quality of two triangles", () => {
+  const g = communities.graph(6, [[1, 2], [1, 3], [2, 3], [3, 4], [4, 5], [4, 6], [5, 6]]);
+  const quality = communities.partition_quality(g, [1, 1, 1, 2, 2, null]);
+  assert.strictEqual(quality.coverage, 4 / 7);
+  assert.deepStrictEqual(quality.communities, [
+    { label: 1, size: 3, volume: 7, internal: 3, cut: 1, conductance: 1 / 7 },
+    { label: 2, size: 2, volume: 5, internal: 1, cut: 3, conductance: 3 / 5 },
+  ]);
+});
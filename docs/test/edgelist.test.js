@@ -0,0 +1,114 @@
+// Tests for docs/assets/edgelist.js, the edge list reader of the viewer. The expected
+// errors are those that `load_edgelist` of GraphCommunities.GraphIO throws. They only need
+// Node.js (18 or later):
+//
+//     node --test docs/test/*.test.js
+//
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { load_edgelist, write_edgelist, read_communities, parse_int } = require("../assets/edgelist.js");
+
+test("edge lists written by Julia's write_edgelist are read back", () => {
+  let csv = load_edgelist("g.csv", "source,destination\n1,2\n1,3\n2,3\n3,4\n");
+  let txt = load_edgelist("g.txt", "1 2\n1 3\n2 3\n3 4\n");
+  for (const loaded of [csv, txt]) {
+    assert.deepStrictEqual(loaded.errors, []);
+    assert.strictEqual(loaded.n, 4);
+    assert.deepStrictEqual(loaded.edges, [[1, 2], [1, 3], [2, 3], [3, 4]]);
+  }
+  // Tabs, Windows line endings and other CSV delimiters
+  assert.deepStrictEqual(load_edgelist("g.txt", "1\t2\r\n2 3\r\n").edges, [[1, 2], [2, 3]]);
+  assert.deepStrictEqual(load_edgelist("g.csv", "s;d\n1;2\n").edges, [[1, 2]]);
+});
+
+test("other file types are unsupported", () => {
+  assert.deepStrictEqual(load_edgelist("g.json", "[]").errors, [
+    { line: null, message: "Unsupported file type: .json" },
+  ]);
+  assert.strictEqual(load_edgelist("edges", "").errors[0].message, "Unsupported file type: ");
+});
+
+test("TXT rows are checked like load_edgelist does", () => {
+  let loaded = load_edgelist("g.txt", "1 2\n1 2 3\n\n 4 5\n1 a\n0 2\n2 -1\n1 99999999999999999999\n");
+  assert.deepStrictEqual(loaded.edges, [[1, 2]]);
+  assert.deepStrictEqual(loaded.errors, [
+    { line: 2, message: "TXT rows need exactly two columns for source and destination." },
+    { line: 3, message: "TXT rows need exactly two columns for source and destination." },
+    { line: 4, message: "TXT rows need exactly two columns for source and destination." },
+    { line: 5, message: `invalid base 10 digit 'a' in "a"` },
+    { line: 6, message: "Invalid node in first column: 0. Needs positive integer." },
+    { line: 7, message: "Invalid node in second column: -1. Needs positive integer." },
+    { line: 8, message: `overflow parsing "99999999999999999999"` },
+  ]);
+});
+
+test("CSV columns fail as a whole when CSV.jl does not read them as integers", () => {
+  // The "x" makes the first column a column of strings
+  let loaded = load_edgelist("g.csv", "source,destination\n1,2\n2,3\nx,4\n");
+  assert.deepStrictEqual(loaded.errors.map((error) => error.line), [2, 3, 4]);
+  assert.strictEqual(loaded.errors[0].message, "Invalid node in first column: 1. Needs positive integer.");
+  // Floats are shown as Julia shows them
+  assert.strictEqual(
+    load_edgelist("g.csv", "s,d\n1,2.5\n").errors[0].message,
+    "Invalid node in second column: 2.5. Needs positive integer."
+  );
+  assert.strictEqual(
+    load_edgelist("g.csv", "s,d\n1,2.0\n").errors[0].message,
+    "Invalid node in second column: 2.0. Needs positive integer."
+  );
+  // Only the row with the missing value fails
+  assert.deepStrictEqual(load_edgelist("g.csv", "s,d\n1,2\n3,\n\n2,3\n").errors, [
+    { line: 3, message: "Invalid node in second column: missing. Needs positive integer." },
+  ]);
+});
+
+test("CSV files need two columns", () => {
+  let loaded = load_edgelist("g.csv", "source,destination,weight\n1,2,0.5\n");
+  assert.deepStrictEqual(loaded.errors, [
+    { line: 2, message: "CSV rows need exactly two columns for source and destination." },
+  ]);
+  assert.deepStrictEqual(load_edgelist("g.csv", "source,destination\n").edges, []);
+});
+
+test("parse_int is Julia's parse(Int, s)", () => {
+  assert.deepStrictEqual(parse_int(" +12 "), { value: 12 });
+  assert.deepStrictEqual(parse_int(""), { error: "input string is empty or only contains whitespace" });
+  assert.deepStrictEqual(parse_int("-"), { error: `premature end of integer: "-"` });
+  assert.deepStrictEqual(parse_int("1.5"), { error: `invalid base 10 digit '.' in "1.5"` });
+});
+
+test("written edge lists are read back unchanged", () => {
+  let edges = [[2, 1], [1, 3], [1, 2], [3, 4]];
+  assert.strictEqual(write_edgelist("g.csv", edges), "source,destination\n1,2\n1,3\n3,4\n");
+  assert.strictEqual(write_edgelist("g.txt", edges), "1 2\n1 3\n3 4\n");
+  for (const name of ["g.csv", "g.txt"]) {
+    let loaded = load_edgelist(name, write_edgelist(name, edges));
+    assert.deepStrictEqual(loaded.errors, []);
+    assert.deepStrictEqual(loaded.edges, [[1, 2], [1, 3], [3, 4]]);
+  }
+  assert.throws(() => write_edgelist("g.json", edges), /Unsupported file type: \.json/);
+});
+
+test("communities are read from CSV files and from what Julia prints", () => {
+  const expected = new Map([[1, 1], [2, 1], [3, 2]]);
+  const texts = [
+    "node,community\n1,1\n2,1\n3,2\n",
+    "1 1\n2 1\n3 2",
+    "Dict{Int64, Int64} with 3 entries:\n  2 => 1\n  3 => 2\n  1 => 1\n",
+    "Dict(2 => 1, 3 => 2, 1 => 1)",
+    "3-element Vector{Tuple{Int64, Int64}}:\n (1, 1)\n (2, 1)\n (3, 2)\n",
+  ];
+  for (const text of texts) {
+    const read = read_communities(text);
+    assert.deepStrictEqual(read.errors, [], text);
+    assert.deepStrictEqual(read.communities, expected, text);
+  }
+});
+
+test("unreadable communities are reported with their lines", () => {
+  const read = read_communities("Dict{Int64, Int64} with 40 entries:\n  1 => 1\n  ⋮ => ⋮\n  2 => 1\n  x\n  1 => 2\n");
+  assert.deepStrictEqual(read.errors.map((error) => error.line), [3, 5, 6]);
+  assert.match(read.errors[0].message, /:limit => false/);
+  assert.strictEqual(read.errors[2].message, "Vertex 1 is in more than one community.");
+});
@@ -0,0 +1,60 @@
+// Tests for docs/assets/html.js. They only need Node.js (18 or later):
+//
+//     node --test docs/test/*.test.js
+//
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { html, raw, escape } = require("../assets/html.js").DocumenterHTML;
+
+// Entries as they could appear in search_index.js
+const hostile = {
+  location: 'x/" onmouseover="alert(1)',
+  page: "<script>alert(1)</script>",
+  title: "GraphCommunities.Louvain",
+  text: "Louvain <: CommunityDetectionAlgorithm\n\n<img src=x onerror=alert(1)>",
+  category: "<b>type</b>",
+};
+
+test("escape replaces all markup-significant characters", () => {
+  assert.strictEqual(
+    escape(`<a href="x" title='y'>&</a>`),
+    "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;"
+  );
+  assert.strictEqual(escape(42), "42");
+});
+
+test("interpolated values are escaped", () => {
+  const out = String(html`<p>${hostile.text}</p>`);
+  assert.strictEqual(
+    out,
+    "<p>Louvain &lt;: CommunityDetectionAlgorithm\n\n&lt;img src=x onerror=alert(1)&gt;</p>"
+  );
+});
+
+test("attribute values cannot be broken out of", () => {
+  const out = String(html`<div title="${hostile.location}"></div>`);
+  assert.strictEqual(out, '<div title="x/&quot; onmouseover=&quot;alert(1)"></div>');
+});
+
+test("nested templates are not escaped twice", () => {
+  const badge = html`<div class="badge">${hostile.category}</div>`;
+  const out = String(html`<a>${badge}${hostile.page}</a>`);
+  assert.strictEqual(
+    out,
+    '<a><div class="badge">&lt;b&gt;type&lt;/b&gt;</div>&lt;script&gt;alert(1)&lt;/script&gt;</a>'
+  );
+});
+
+test("arrays are rendered element-wise", () => {
+  const items = ["<:", html`<br>`, "&"];
+  assert.strictEqual(String(html`${items}`), "&lt;:<br>&amp;");
+});
+
+test("null, undefined and false render as nothing", () => {
+  assert.strictEqual(String(html`${null}${undefined}${false}${0}`), "0");
+});
+
+test("raw marks trusted markup", () => {
+  assert.strictEqual(String(html`${raw("<hr>")}`), "<hr>");
+});
@@ -0,0 +1,84 @@
+// Tests for docs/assets/repl.js, which strips the prompts and output off the examples for
+// the copy buttons. They only need Node.js (18 or later):
+//
+//     node --test docs/test/*.test.js
+//
+const test = require("node:test");
+const assert = require("node:assert");
+
+const repl = require("../assets/repl.js");
+
+const transcript = [
+  "julia> g = generate(KarateClub());",
+  "",
+  "julia> function degrees(g)",
+  "           return [degree(g, v) for v in vertices(g)]",
+  "       end",
+  "degrees (generic function with 1 method)",
+  "",
+  "julia> compute(Louvain(), g)",
+  "Dict{Int64, Int64} with 34 entries:",
+  "  5  => 1",
+  "",
+].join("\n");
+
+test("transcripts are split into input and output", () => {
+  assert.deepStrictEqual(repl.parse(transcript), [
+    { mode: "julia", input: "g = generate(KarateClub());", output: "" },
+    {
+      mode: "julia",
+      input: "function degrees(g)\n    return [degree(g, v) for v in vertices(g)]\nend",
+      output: "degrees (generic function with 1 method)",
+    },
+    { mode: "julia", input: "compute(Louvain(), g)", output: "Dict{Int64, Int64} with 34 entries:\n  5  => 1" },
+  ]);
+  assert.strictEqual(repl.parse("g = generate(KarateClub())"), null);
+});
+
+test("only the input is copied", () => {
+  assert.strictEqual(
+    repl.input_only(transcript),
+    "g = generate(KarateClub());\nfunction degrees(g)\n    return [degree(g, v) for v in vertices(g)]\nend\ncompute(Louvain(), g)"
+  );
+  assert.strictEqual(
+    repl.input_only("(@v1.x) pkg> add https://github.com/RandyRDavila/GraphCommunities.jl.git"),
+    'using Pkg\npkg"add https://github.com/RandyRDavila/GraphCommunities.jl.git"'
+  );
+  assert.strictEqual(repl.input_only("help?> compute"), "# help?> compute");
+  // Code that is not a transcript is copied as it is
+  assert.strictEqual(repl.input_only("graph = generate(KarateClub())\n"), "graph = generate(KarateClub())\n");
+});
+
+test("signatures of docstrings are not code", () => {
+  assert.ok(repl.is_signature("Louvain <: CommunityDetectionAlgorithm"));
+  assert.ok(repl.is_signature("generate(structure::KarateClub)::SimpleGraph"));
+  assert.ok(repl.is_signature("compute(algo::FastLPA, edge_list::Vector{Tuple{Int,Int}}, num_vertices::Int)"));
+  assert.ok(!repl.is_signature("graph = generate(KarateClub())"));
+  assert.ok(!repl.is_signature("compute(Louvain(), g)"));
+});
+
+test("the examples of a page make one script", () => {
+  const blocks = [
+    "(@v1.x) pkg> add GraphCommunities",
+    "julia> using GraphCommunities\n\njulia> g = generate(KarateClub())\nSimpleGraph",
+    "KarateClub <: CommunityGraph",
+    "julia> using GraphCommunities\n\njulia> compute(Louvain(), g)",
+  ];
+  assert.strictEqual(
+    repl.script(blocks, "Quick Start Guide\nhttps://example.org/"),
+    [
+      "# Quick Start Guide",
+      "# https://example.org/",
+      "",
+      "using Pkg",
+      'pkg"add GraphCommunities"',
+      "",
+      "using GraphCommunities",
+      "",
+      "g = generate(KarateClub())",
+      "",
+      "compute(Louvain(), g)",
+      "",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,275 @@
+// Tests for docs/assets/search-engine.js, the search of the docs. They run on the
+// search_index.js of these docs and only need Node.js (18 or later):
+//
+//     node --test docs/test/*.test.js
+//
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const MiniSearch = require("../assets/vendor/minisearch/index.js");
+const engine = require("../assets/search-engine.js");
+
+// search_index.js is a script that defines `var documenterSearchIndex`
+const context = {};
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, "../search_index.js"), "utf8"), context);
+const docs = context.documenterSearchIndex["docs"];
+const index = engine.create(MiniSearch, docs);
+
+/**
+ * @param {string} query
+ * @param {string[]} categories
+ * @param {object} ranking see ranking_profile
+ * @returns object[] the results, as search() returns them
+ */
+function search(query, categories = [], ranking = {}) {
+  return engine.search(index, { query: query, categories: categories, ranking: ranking });
+}
+
+test("the serialized index finds what an index built from search_index.js finds", () => {
+  const js = JSON.parse(fs.readFileSync(path.join(__dirname, "../search_index.minisearch.json"), "utf8"));
+  const serialized = engine.load(MiniSearch, js);
+  for (const query of ["louvain", "label propagation", "generate graph", "compute"]) {
+    const request = { query: query, categories: [] };
+    assert.deepStrictEqual(
+      engine.search(serialized, request).map((result) => [result.id, result.score]),
+      engine.search(index, request).map((result) => [result.id, result.score]),
+      query
+    );
+  }
+});
+
+test("docstrings are found by their name", () => {
+  for (const query of ["FastLPA", "Louvain", "draw_communities"]) {
+    assert.strictEqual(search(query)[0].title, `GraphCommunities.${query}`);
+  }
+  // Qualified names are split at the dots
+  assert.ok(search("compute").some((result) => result.title === "GraphCommunities.compute"));
+});
+
+test("results can be restricted to categories", () => {
+  const types = search("louvain", ["type"]);
+  assert.ok(types.length > 0);
+  assert.ok(types.every((result) => result.category === "type"));
+  assert.ok(search("louvain").some((result) => result.category !== "type"));
+});
+
+test("qualified names are split into their module and name", () => {
+  assert.deepStrictEqual(engine.parse_query("GraphCommunities.PageRank"), {
+    kind: "name",
+    terms: "GraphCommunities PageRank",
+    module: "GraphCommunities",
+    name: "PageRank",
+    arg_types: [],
+    supertype: "",
+  });
+  assert.strictEqual(engine.parse_query("community detection").kind, "text");
+  const results = search("GraphCommunities.PageRank");
+  assert.strictEqual(results[0].title, "GraphCommunities.PageRank");
+  assert.strictEqual(results[0].exact, 2);
+  assert.ok(results.filter((result) => result.exact === 2).every((result) => result.title === "GraphCommunities.PageRank"));
+});
+
+test("subtype queries find the subtypes", () => {
+  assert.deepStrictEqual(
+    [engine.parse_query("<: CommunityDetectionAlgorithm"), engine.parse_query("Louvain <: CommunityDetectionAlgorithm")].map(
+      (parsed) => [parsed.kind, parsed.name, parsed.supertype]
+    ),
+    [
+      ["subtype", "", "CommunityDetectionAlgorithm"],
+      ["subtype", "Louvain", "CommunityDetectionAlgorithm"],
+    ]
+  );
+  const subtypes = search("<: CommunityDetectionAlgorithm")
+    .filter((result) => result.exact === 2)
+    .map((result) => result.title.replace("GraphCommunities.", ""))
+    .sort();
+  assert.deepStrictEqual(subtypes, ["FastLPA", "KClique", "LabelPropagation", "Louvain", "PageRank"]);
+});
+
+test("partial signatures take argument types with and without argument names", () => {
+  const types = (query) => engine.parse_query(query).arg_types;
+  assert.deepStrictEqual(types("compute(::Louvain"), ["Louvain"]);
+  assert.deepStrictEqual(types("compute(algo::FastLPA, g)"), ["FastLPA", null]);
+  assert.deepStrictEqual(types("compute(algo::FastLPA, edge_list::Vector{Tuple{Int,Int}}, n)"), ["FastLPA", "Vector", null]);
+  assert.deepStrictEqual(types("generate(structure::ChainedCliques; num_cliques=8)::SimpleGraph"), ["ChainedCliques"]);
+  // Return types may have spaces, like the one of the KClique method
+  assert.deepStrictEqual(types("compute(algo::KClique, g::SimpleGraph)::Dict{Int, Int}"), ["KClique", "SimpleGraph"]);
+  const parsed = engine.parse_query("GraphCommunities.compute(::KClique");
+  assert.deepStrictEqual([parsed.kind, parsed.module, parsed.name], ["signature", "GraphCommunities", "compute"]);
+});
+
+test("signature queries pick the compute method of each algorithm", () => {
+  for (const algorithm of ["LabelPropagation", "FastLPA", "Louvain", "KClique", "PageRank"]) {
+    for (const query of [`compute(::${algorithm}`, `compute(algo::${algorithm}, g)`]) {
+      const result = search(query)[0];
+      assert.strictEqual(result.exact, 2, query);
+      assert.ok(result.signature.startsWith(`compute(algo::${algorithm}, g::`), `${query}: ${result.signature}`);
+    }
+  }
+  // The method that takes an edge list
+  assert.match(search("compute(::FastLPA, ::Vector")[0].signature, /edge_list::Vector/);
+  // No method of compute takes a graph first
+  assert.strictEqual(search("compute(::SimpleGraph")[0].exact, 1);
+});
+
+test("ranking profiles fill in the defaults, also within fuzzy", () => {
+  const profile = engine.ranking_profile({ prefix: true, fuzzy: { max: 1 }, category_boost: { type: 2 } });
+  assert.deepStrictEqual(profile, {
+    boost: { title: 100, text: 1 },
+    category_boost: { type: 2 },
+    prefix: true,
+    fuzzy: { min_length: 5, ratio: 0.2, max: 1 },
+    exact_identifier: 3,
+    min_score: 1,
+    stop_words: null,
+  });
+  assert.strictEqual(engine.ranking_profile().prefix, false);
+  assert.strictEqual(engine.ranking_profile(undefined).fuzzy.max, 2);
+  // siteinfo.js may leave parts of the profile out with null
+  assert.deepStrictEqual(engine.ranking_profile({ category_boost: null, fuzzy: null }), engine.ranking_profile());
+  assert.ok(search("louvain", [], { category_boost: null }).length > 0);
+});
+
+test("longer words may have more typos", () => {
+  const fuzzy = engine.fuzziness(engine.ranking_profile());
+  assert.deepStrictEqual(
+    ["lpa", "graph", "louvain", "propagation", "communitydetection"].map(fuzzy),
+    [false, 1, 1, 2, 2]
+  );
+  const strict = engine.fuzziness(engine.ranking_profile({ fuzzy: { min_length: 3, ratio: 0.1, max: 3 } }));
+  assert.deepStrictEqual(["lp", "lpa", "louvain", "propagation", "communitydetectionalgorithm"].map(strict), [false, false, 1, 1, 3]);
+  // A typo away from "louvain"
+  assert.ok(search("louvan").some((result) => result.title === "GraphCommunities.Louvain"));
+  // Words are looked up in lowercase, without needing a typo
+  assert.strictEqual(search("fastlpa")[0].title, "GraphCommunities.FastLPA");
+});
+
+test("docstrings named like a query word get a bonus", () => {
+  const request = { query: "louvain", categories: [], ranking: {}, debug: true };
+  const bonus = engine.search(index, request).find((result) => result.title === "GraphCommunities.Louvain");
+  assert.strictEqual(bonus.debug.identifier, 3);
+  assert.strictEqual(bonus.score, bonus.debug.score * 3);
+  const none = engine.search(index, Object.assign({}, request, { ranking: { exact_identifier: 1 } }));
+  assert.strictEqual(none.find((result) => result.id === bonus.id).score, bonus.debug.score);
+  // Pages named like the query do not get it
+  assert.ok(engine.search(index, request).every((result) => result.debug.identifier === 1 || !["page", "section"].includes(result.category)));
+});
+
+test("results scoring less than min_score are dropped", () => {
+  const all = search("louvain", [], { min_score: 0 });
+  const cutoff = all[Math.floor(all.length / 2)].score;
+  const kept = search("louvain", [], { min_score: cutoff });
+  assert.ok(kept.length > 0 && kept.length < all.length);
+  assert.ok(kept.every((result) => result.score >= cutoff));
+});
+
+test("a profile with its own stop words replaces the default ones", () => {
+  // "the" is a default stop word, "louvain" is not
+  assert.strictEqual(search("the").length, 0);
+  const profile = engine.ranking_profile({ stop_words: ["louvain"] });
+  const custom = engine.create(MiniSearch, docs, profile);
+  const request = (query) => ({ query: query, categories: [], ranking: profile });
+  assert.ok(engine.search(custom, request("the")).length > 0);
+  assert.strictEqual(engine.search(custom, request("louvain")).length, 0);
+});
+
+// A docstring with two methods, padded like Documenter pads them in search_index.js
+const two_methods = {
+  location: "api/#GraphCommunities.compute",
+  page: "API",
+  title: "GraphCommunities.compute",
+  category: "function",
+  text: "compute(algo::Louvain, g::SimpleGraph)\n\nDetect communities.\n\n\n\n\n\ncompute(algo::LabelPropagation, g::SimpleGraph)::LabelArray\n\nPropagate labels.\n\n\n\n",
+};
+
+test("records start at every method of a docstring", () => {
+  const records = engine.records([two_methods]);
+  assert.deepStrictEqual(
+    records.map((record) => [record.id, record.text]),
+    [
+      ["0.0", "compute(algo::Louvain, g::SimpleGraph)\n\nDetect communities."],
+      ["0.1", "compute(algo::LabelPropagation, g::SimpleGraph)::LabelArray\n\nPropagate labels."],
+    ]
+  );
+  // Every record knows all methods of its docstring
+  for (const record of records) {
+    assert.strictEqual(record.location, two_methods.location);
+    assert.deepStrictEqual(record.signatures, [
+      "compute(algo::Louvain, g::SimpleGraph)",
+      "compute(algo::LabelPropagation, g::SimpleGraph)::LabelArray",
+    ]);
+  }
+});
+
+test("long entries are split at paragraph breaks", () => {
+  const paragraph = "Louvain moves vertices between communities. ".repeat(4).trim();
+  const entry = { location: "x/", page: "X", title: "X", category: "page", text: `${paragraph}\n\n\n\n${paragraph}\n\n${paragraph}\n\n\n\n` };
+  const records = engine.records([entry]);
+  assert.deepStrictEqual(records.map((record) => record.id), ["0.0", "0.1"]);
+  assert.strictEqual(records[0].text, `${paragraph}\n\n${paragraph}`);
+  assert.strictEqual(records[1].text, paragraph);
+  assert.deepStrictEqual(records[0].signatures, []);
+  // An entry without text still has a record, to be found by its title
+  assert.deepStrictEqual(engine.records([Object.assign({}, entry, { text: "\n\n\n\n" })]).map((record) => record.text), [""]);
+});
+
+test("only the first record of an entry is found by its title", () => {
+  const entry = Object.assign({}, two_methods, { title: "GraphCommunities.Frobnicate" });
+  const small = engine.create(MiniSearch, [entry]);
+  const results = engine.search(small, { query: "Frobnicate", categories: [], ranking: {} });
+  assert.deepStrictEqual(results.map((result) => result.id), ["0.0"]);
+  assert.strictEqual(results[0].title, "GraphCommunities.Frobnicate");
+});
+
+test("records are linked to by their first words, whatever their position", () => {
+  const paragraphs = (docs) => engine.records(docs).map((record) => [record.id, record.paragraph]);
+  assert.deepStrictEqual(paragraphs([two_methods]), [
+    ["0.0", "compute-algo-louvain-g-simplegraph-detect-communities"],
+    ["0.1", "compute-algo-labelpropagation-g-simplegraph-labelarray-propagate-labels"],
+  ]);
+  // Entries added before an entry change the ids of its records, but not their slugs
+  const page = { location: "x/", page: "X", title: "X", category: "page", text: "New text.\n\n" };
+  assert.deepStrictEqual(
+    paragraphs([page, two_methods]).slice(1).map(([, paragraph]) => paragraph),
+    paragraphs([two_methods]).map(([, paragraph]) => paragraph)
+  );
+  assert.ok(search("louvain").every((result) => typeof result.paragraph === "string"));
+});
+
+test("paragraphs are found by their slug in the text of a page", () => {
+  const text = "GraphCommunities.Louvain — Type Louvain <: CommunityDetectionAlgorithm The Louvain algorithm. Louvain <: CommunityDetectionAlgorithm";
+  const slug = engine.paragraph_slug("Louvain <: CommunityDetectionAlgorithm\n\nThe Louvain algorithm.");
+  assert.strictEqual(slug, "louvain-communitydetectionalgorithm-the-louvain-algorithm");
+  assert.strictEqual(engine.find_paragraph(text, slug), text.indexOf("Louvain <:"));
+  // Looking from somewhere in the page on
+  assert.strictEqual(engine.find_paragraph(text, "louvain-communitydetectionalgorithm", 40), text.lastIndexOf("Louvain <:"));
+  assert.strictEqual(engine.find_paragraph(text, "louvain-algorithm-for"), -1);
+  assert.strictEqual(engine.find_paragraph(text, ""), -1);
+});
+
+test("a signature query finds its method wherever it is in the docstring", () => {
+  const results = search("compute(::Louvain");
+  assert.strictEqual(results[0].title, "GraphCommunities.compute");
+  assert.strictEqual(results[0].exact, 2);
+  assert.strictEqual(results[0].signature, "compute(algo::Louvain, g::SimpleGraph)");
+  // The record that starts with the method comes first
+  assert.ok(results[0].text.startsWith("compute(algo::Louvain, g::SimpleGraph)"));
+});
+
+test("results of several versions are ranked together", () => {
+  const request = { query: "compute(::Louvain", categories: [], ranking: {} };
+  const results = engine.search_versions(
+    [
+      { version: null, index: index },
+      { version: "v0.1", index: index },
+    ],
+    request
+  );
+  assert.strictEqual(results.length, 2 * engine.search(index, request).length);
+  assert.deepStrictEqual(results.slice(0, 2).map((result) => result.version), [null, "v0.1"]);
+  // The record of the method comes first in every version
+  assert.ok(results.slice(0, 2).every((result) => result.text.startsWith(result.signature)));
+});
@@ -0,0 +1,113 @@
+// Tests for docs/assets/search-versions.js, the versions of the docs that the search can
+// include. They only need Node.js (18 or later):
+//
+//     node --test docs/test/*.test.js
+//
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const search_versions = require("../assets/search-versions.js");
+
+/**
+ * The other versions, as seen from the docs of `current`
+ *
+ * @param {string} current DOCUMENTER_CURRENT_VERSION of siteinfo.js
+ * @param {string[]} versions DOC_VERSIONS of versions.js
+ * @returns string[]
+ */
+function others(current, versions) {
+  globalThis.DOCUMENTER_CURRENT_VERSION = current;
+  globalThis.DOCUMENTER_STABLE = "stable";
+  globalThis.DOC_VERSIONS = versions;
+  try {
+    return search_versions.others();
+  } finally {
+    delete globalThis.DOCUMENTER_CURRENT_VERSION;
+    delete globalThis.DOCUMENTER_STABLE;
+    delete globalThis.DOC_VERSIONS;
+  }
+}
+
+// What deploydocs writes with versions = ["stable" => "v^", "v#.#", "dev" => "dev"]
+const deployed = ["stable", "v0.2", "v0.1", "dev"];
+
+test("the stable docs and the folder of the current release are not searched again", () => {
+  assert.deepStrictEqual(others("v0.2.1", deployed), ["v0.1", "dev"]);
+  assert.deepStrictEqual(others("v0.1.3", deployed), ["v0.2", "dev"]);
+  assert.deepStrictEqual(others("dev", deployed), ["v0.2", "v0.1"]);
+  assert.deepStrictEqual(others("v0.2", deployed), ["v0.1", "dev"]);
+});
+
+test("of two names for the same release the more precise one is searched", () => {
+  assert.deepStrictEqual(others("dev", ["stable", "v0.2", "v0.2.1", "v0.2.0", "v0.1", "dev"]), ["v0.2.1", "v0.2.0", "v0.1"]);
+  assert.deepStrictEqual(others("dev", ["v0.2.0", "v0.2", "v0.2.0+build"]), ["v0.2.0"]);
+  // Pre-releases are not what v0.3 points to
+  assert.deepStrictEqual(others("dev", ["v0.3", "v0.3.0-rc1"]), ["v0.3", "v0.3.0-rc1"]);
+});
+
+test("without versions.js or with only named versions", () => {
+  assert.deepStrictEqual(others("dev", undefined), []);
+  assert.deepStrictEqual(others("dev", ["stable", "dev"]), ["stable"]);
+});
+
+test("docstrings are added and removed in the order of the version numbers", () => {
+  const titles = new Map([
+    ["dev", new Set(["FastLPA"])],
+    ["v0.10", new Set(["FastLPA"])],
+    ["v0.9", new Set(["FastLPA", "Leiden"])],
+    ["v0.2", new Set(["Leiden"])],
+    ["v0.1", new Set([])],
+  ]);
+  assert.deepStrictEqual(search_versions.lifecycle("FastLPA", titles), { added: "v0.9", removed: null });
+  assert.deepStrictEqual(search_versions.lifecycle("Leiden", titles), { added: "v0.2", removed: "v0.10" });
+  assert.deepStrictEqual(search_versions.lifecycle("Louvain", titles), { added: null, removed: null });
+  assert.deepStrictEqual(search_versions.lifecycle("FastLPA", new Map([["v0.1", new Set(["FastLPA"])]])), {
+    added: null,
+    removed: null,
+  });
+});
+
+test("versions are still compared without warner.js", () => {
+  // As a plain script, without DocumenterWarner
+  const context = {
+    DOCUMENTER_CURRENT_VERSION: "v0.2.1",
+    DOCUMENTER_STABLE: "stable",
+    DOC_VERSIONS: ["stable", "v0.10", "v0.9", "v0.2", "v0.2.1", "v0.1", "dev"],
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, "../assets/search-versions.js"), "utf8"), context);
+  const alone = context.DocumenterSearchVersions;
+  assert.deepStrictEqual([...alone.others()], ["v0.10", "v0.9", "v0.1", "dev"]);
+  const titles = new Map([
+    ["v0.10", new Set(["FastLPA"])],
+    ["v0.9", new Set(["FastLPA"])],
+    ["v0.1.0-rc1", new Set([])],
+    ["v0.1.0", new Set([])],
+  ]);
+  assert.deepStrictEqual({ ...alone.lifecycle("FastLPA", titles) }, { added: "v0.9", removed: null });
+});
+
+test("the choice to search all versions holds when it cannot be stored", () => {
+  // Like Safari's private browsing, which refuses to store anything
+  const stored = new Map();
+  const context = {
+    window: {
+      localStorage: {
+        getItem: (key) => stored.get(key) ?? null,
+        setItem: () => {
+          throw new Error("QuotaExceededError");
+        },
+        removeItem: (key) => stored.delete(key),
+      },
+    },
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, "../assets/search-versions.js"), "utf8"), context);
+  const versions = context.DocumenterSearchVersions;
+  assert.strictEqual(versions.enabled(), false);
+  versions.enable(true);
+  assert.strictEqual(versions.enabled(), true);
+  versions.enable(false);
+  assert.strictEqual(versions.enabled(), false);
+});
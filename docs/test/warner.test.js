@@ -0,0 +1,55 @@
+// Tests for docs/assets/warner.js, the banner on the pages of other versions than the
+// latest stable release. They only need Node.js (18 or later):
+//
+//     node --test docs/test/*.test.js
+//
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { parse_version, compare_versions, newer_releases, version_status } =
+  require("../assets/warner.js").DocumenterWarner;
+
+// DOC_VERSIONS as deploydocs writes it, newest first
+const versions = ["stable", "v0.10", "v0.9", "v0.2", "v0.1", "dev"];
+
+test("version numbers are parsed like Documenter names its folders", () => {
+  assert.deepStrictEqual(parse_version("v0.2.1"), { major: 0, minor: 2, patch: 1, prerelease: [] });
+  assert.deepStrictEqual(parse_version("v1.0"), { major: 1, minor: 0, patch: 0, prerelease: [] });
+  assert.deepStrictEqual(parse_version("v1.0.0-rc.1+build"), { major: 1, minor: 0, patch: 0, prerelease: ["rc", "1"] });
+  assert.strictEqual(parse_version("dev"), null);
+  assert.strictEqual(parse_version("stable"), null);
+});
+
+test("versions are compared as numbers rather than as strings", () => {
+  assert.ok(compare_versions("v0.10.0", "v0.9.0") > 0);
+  assert.ok(compare_versions("v0.2", "v0.2.1") < 0);
+  assert.strictEqual(compare_versions("v0.2", "v0.2.0"), 0);
+  assert.strictEqual(compare_versions("v0.2.0+build", "v0.2.0"), 0);
+  assert.throws(() => compare_versions("dev", "v0.2.0"), /Not a version number: dev/);
+});
+
+test("pre-releases come before their release", () => {
+  const ordered = ["v1.0.0-alpha", "v1.0.0-alpha.1", "v1.0.0-alpha.beta", "v1.0.0-beta.2", "v1.0.0-beta.11", "v1.0.0-rc.1", "v1.0.0"];
+  for (let i = 1; i < ordered.length; i++) {
+    assert.ok(compare_versions(ordered[i - 1], ordered[i]) < 0, `${ordered[i - 1]} < ${ordered[i]}`);
+  }
+});
+
+test("only newer releases count, each once", () => {
+  assert.deepStrictEqual(newer_releases("v0.2.3", versions), ["v0.10", "v0.9"]);
+  assert.deepStrictEqual(newer_releases("v0.1.0", ["v0.2", "v0.2.0", "v0.3.0-rc1", "v0.1"]), ["v0.2"]);
+  assert.deepStrictEqual(newer_releases("v0.10.0", versions), []);
+});
+
+test("the banner tells development versions, pre-releases and old releases apart", () => {
+  assert.strictEqual(version_status("v0.10.0", "v0.10.0", versions), null);
+  // The string "v0.10.0" is smaller than "v0.9.1", the version is not
+  assert.strictEqual(version_status("v0.10.0", "v0.9.1", versions), null);
+  assert.deepStrictEqual(version_status("dev", "v0.10.0", versions), { kind: "dev", behind: null });
+  assert.deepStrictEqual(version_status("v0.11.0-DEV", "v0.10.0", versions), { kind: "prerelease", behind: null });
+  assert.deepStrictEqual(version_status("v0.1.4", "v0.10.0", versions), { kind: "outdated", behind: 3 });
+  assert.deepStrictEqual(version_status("v0.10.0-rc1", "v0.10.0", versions), { kind: "outdated", behind: 1 });
+  // Without DOC_VERSIONS there is no telling how far behind
+  assert.deepStrictEqual(version_status("v0.1.4", "v0.10.0", []), { kind: "outdated", behind: null });
+  assert.strictEqual(version_status("previews/PR12", "v0.10.0", versions), null);
+});
@@ -4,4 +4,14 @@ using GraphCommunities.GraphIO
 using Graphs
 
 include("generate_tests.jl")
-include("community_detection_tests.jl")
\ No newline at end of file
+include("community_detection_tests.jl")
+
+# The JavaScript of the docs (docs/assets) has tests of its own in docs/test, which need
+# Node.js 18 or later. They are skipped where Node.js is not installed.
+if Sys.which("node") !== nothing
+    @testset "Docs JavaScript" begin
+        dir = joinpath(@__DIR__, "..", "docs", "test")
+        files = filter(endswith(".test.js"), readdir(dir; join=true))
+        @test success(`node --test $files`)
+    end
+end